@@ -2,16 +2,66 @@
 class DiscordLink {
   constructor(runtime) {
     this.runtime = runtime;
-    this.VERSION = '4.1.1-heartbeat';
+    this.VERSION = '5.0.0';
     this.ws = null;
+    this.authKey = '';
+    this.authError = '';
     this.connected = false;
     this.discordReady = false;
     this.guilds = [];
     this.channels = {};
     this._lastMessage = {};
+    this.textMode = 'rendered'; // which text message reporters give: rendered | plain | raw
     this._lastPing = {};
     this._pendingMessage = false;
     this._pendingPing = false;
+    this.dms = [];            // recent DM contacts from the server list: [{ userId, username, channelId }]
+    this._lastDm = {};
+    this._pendingDm = false;
+    this._lastCommand = { name: '', args: [] };
+    this._pendingCommands = new Set(); // command names received but not yet seen by their hat
+    this._selectedServer = null;
+    this._lastSent = {}; // from the bridge's ack: { messageId, channelId, timestamp }
+    this._lastThreadId = ''; // thread made by the last createThread / createForumPost
+
+    // outgoing requests awaiting their ack, by ref
+    this._pendingSends = new Map();
+    this._refCounter = 0;
+    this.lastSendStatus = '';   // pending | ok | skipped | queued | failed | timeout | not-connected | disconnected
+    this.lastSendError = '';
+    this._cooldownUntil = 0;    // from the bridge's rate-limit info in acks
+    // cached "queued sends" / "failed sends" counts; at = when last asked (0 = ask again on the next read)
+    this._queueCounts = { queued: 0, failed: 0, at: 0, pending: false };
+
+    // files attached to the next sendMessage: [{ name, data (base64) }]
+    this._pendingFiles = [];
+    // embeds built with the embed blocks, sent with the next message: [{ title, description, color, image, fields }]
+    this._pendingEmbeds = [];
+
+    // edit / delete / reaction events (latest of each + hat flags)
+    this._lastEdit = {};
+    this._lastDelete = {};
+    this._lastReaction = {};
+    this._pendingEvents = { messageUpdate: false, messageDelete: false, reactionAdd: false, reactionRemove: false };
+
+    // inbox: bounded FIFO of received messages so bursts within one frame aren't lost
+    this.inbox = [];
+    this.inboxLimit = 100;
+    this.inboxDropped = 0;          // how many oldest entries were dropped because the inbox was full
+    this.inboxFilter = { server: '', channel: '' }; // '' = any
+
+    // server-side event subscriptions; re-sent after every (re)connect
+    this.subscriptions = [];
+    this._subCounter = 0;
+    this.commands = []; // registerCommand payloads, also re-sent after every (re)connect
+
+    // request/response correlation by requestId
+    this._pendingRequests = new Map();
+    this._requestCounter = 0;
+    this.requestTimeout = 15_000;
+    this.lastHistoryError = '';
+    this.lastSearchError = '';
+    this.lastCostumeError = '';
 
     // reconnect/backoff state
     this.reconnectBase = 1000;    // 1s
@@ -19,6 +69,14 @@ class DiscordLink {
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
 
+    // missed-event replay: newest event seq seen (per bridge run, see _epoch) and our bridge session; both go in the
+    // URL on reconnect so the bridge replays what we missed before anything new
+    this._lastSeq = null;
+    this._epoch = null;
+    this._session = null;
+    this._resuming = false;
+    this._missedEvents = false;
+
     // heartbeat
     this.clientHeartbeatInterval = 20_000; // send app-level ping to server optionally
     this._clientHbTimer = null;
@@ -31,11 +89,358 @@ class DiscordLink {
       color1: '#7289DA',
       blocks: [
         { opcode: 'connect', blockType: 'command', text: 'connect to bridge [URL]', arguments: { URL: { type: 'string', defaultValue: 'ws://localhost:3001' } } },
-        // ... other blocks remain unchanged; you can paste your previous getInfo blocks here
-      ]
+        { opcode: 'setAuthKey', blockType: 'command', text: 'use bridge key [KEY]', arguments: { KEY: { type: 'string', defaultValue: '' } } },
+        { opcode: 'authErrorText', blockType: 'reporter', text: 'bridge auth error' },
+        { opcode: 'missedEvents', blockType: 'Boolean', text: 'missed events while reconnecting?' },
+        { opcode: 'selectServer', blockType: 'command', text: 'show server [SERVER] in channel menus (they ignore the server picked in their own block)', arguments: { SERVER: { type: 'string', menu: 'serverMenu' } } },
+        { opcode: 'sendMessage', blockType: 'command', text: 'send [CONTENT] to channel [CHANNEL] in server [SERVER]', arguments: {
+          CONTENT: { type: 'string', defaultValue: 'Hello from Scratch!' },
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'replyToLastMessage', blockType: 'command', text: 'reply [CONTENT] to last message [MENTION]', arguments: {
+          CONTENT: { type: 'string', defaultValue: 'Got it!' },
+          MENTION: { type: 'string', menu: 'mentionMenu' }
+        } },
+        { opcode: 'replyToMessage', blockType: 'command', text: 'reply [CONTENT] to message [ID] in channel id [CHANNELID] [MENTION]', arguments: {
+          CONTENT: { type: 'string', defaultValue: 'Got it!' },
+          ID: { type: 'string', defaultValue: '' },
+          CHANNELID: { type: 'string', defaultValue: '' },
+          MENTION: { type: 'string', menu: 'mentionMenu' }
+        } },
+        { opcode: 'attachCostume', blockType: 'command', text: 'attach costume [COSTUME] to next message', arguments: { COSTUME: { type: 'string', menu: 'costumeMenu' } } },
+        { opcode: 'attachStage', blockType: 'command', text: 'attach stage snapshot to next message' },
+        { opcode: 'attachSound', blockType: 'command', text: 'attach sound [SOUND] to next message', arguments: { SOUND: { type: 'string', menu: 'soundMenu' } } },
+        { opcode: 'attachData', blockType: 'command', text: 'attach data URL or base64 [DATA] as file [NAME] to next message', arguments: {
+          DATA: { type: 'string', defaultValue: 'data:text/plain;base64,SGVsbG8h' },
+          NAME: { type: 'string', defaultValue: 'hello.txt' }
+        } },
+        { opcode: 'clearAttachments', blockType: 'command', text: 'clear attachments' },
+        { opcode: 'attachmentCount', blockType: 'reporter', text: 'attachments for next message' },
+        { opcode: 'startEmbed', blockType: 'command', text: 'start new embed for next message' },
+        { opcode: 'setEmbedTitle', blockType: 'command', text: 'set embed title to [TITLE]', arguments: { TITLE: { type: 'string', defaultValue: 'Leaderboard' } } },
+        { opcode: 'setEmbedDescription', blockType: 'command', text: 'set embed description to [TEXT]', arguments: { TEXT: { type: 'string', defaultValue: 'Top scores this week' } } },
+        { opcode: 'setEmbedColor', blockType: 'command', text: 'set embed color to [COLOR]', arguments: { COLOR: { type: 'color', defaultValue: '#7289da' } } },
+        { opcode: 'setEmbedImage', blockType: 'command', text: 'set embed image to URL [URL]', arguments: { URL: { type: 'string', defaultValue: 'https://' } } },
+        { opcode: 'addEmbedField', blockType: 'command', text: 'add embed field [NAME] = [VALUE] [INLINE]', arguments: {
+          NAME: { type: 'string', defaultValue: '1st' },
+          VALUE: { type: 'string', defaultValue: 'Player: 100' },
+          INLINE: { type: 'string', menu: 'inlineMenu' }
+        } },
+        { opcode: 'sendEmbeds', blockType: 'command', text: 'send embed to channel [CHANNEL] in server [SERVER]', arguments: {
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'clearEmbeds', blockType: 'command', text: 'clear embeds' },
+        { opcode: 'embedCount', blockType: 'reporter', text: 'embeds for next message' },
+        { opcode: 'sendAndWait', blockType: 'reporter', text: 'send [CONTENT] to channel [CHANNEL] in server [SERVER] and wait up to [TIMEOUT] seconds', arguments: {
+          CONTENT: { type: 'string', defaultValue: 'Hello from Scratch!' },
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' },
+          TIMEOUT: { type: 'number', defaultValue: 5 }
+        } },
+        { opcode: 'lastSentMessageId', blockType: 'reporter', text: 'last sent message id' },
+        { opcode: 'lastSendStatusText', blockType: 'reporter', text: 'last send status' },
+        { opcode: 'lastSendErrorText', blockType: 'reporter', text: 'last send error' },
+        { opcode: 'canSend', blockType: 'Boolean', text: 'can send?' },
+        { opcode: 'sendCooldown', blockType: 'reporter', text: 'send cooldown (seconds)' },
+        { opcode: 'queuedSendCount', blockType: 'reporter', text: 'queued sends' },
+        { opcode: 'deadLetterCount', blockType: 'reporter', text: 'failed sends' },
+        '---',
+        { opcode: 'whenMessageReceived', blockType: 'hat', text: 'when message received' },
+        { opcode: 'lastMessage', blockType: 'reporter', text: 'last message' },
+        { opcode: 'lastMessageAttachment', blockType: 'reporter', text: 'last message attachment' },
+        { opcode: 'attachmentToCostume', blockType: 'command', text: 'add last message attachment as costume [NAME]', arguments: { NAME: { type: 'string', defaultValue: 'attachment' } } },
+        { opcode: 'costumeError', blockType: 'reporter', text: 'attachment costume error' },
+        { opcode: 'lastMessageEmbedsJson', blockType: 'reporter', text: 'last message embeds (JSON)' },
+        { opcode: 'lastMessageChannel', blockType: 'reporter', text: 'last message channel' },
+        { opcode: 'lastMessageServer', blockType: 'reporter', text: 'last message server' },
+        { opcode: 'lastMessageAuthor', blockType: 'reporter', text: 'last message author' },
+        { opcode: 'lastMessageAuthorNickname', blockType: 'reporter', text: 'nickname of author' },
+        { opcode: 'lastMessageAuthorAvatar', blockType: 'reporter', text: 'avatar URL of author' },
+        { opcode: 'lastMessageAuthorRoles', blockType: 'reporter', text: 'roles of author' },
+        { opcode: 'lastMessageAuthorHasRole', blockType: 'Boolean', text: 'author has role [ROLE]?', arguments: { ROLE: { type: 'string', defaultValue: 'Moderators' } } },
+        { opcode: 'lastMessageTimestamp', blockType: 'reporter', text: 'last message timestamp' },
+        { opcode: 'lastMessageId', blockType: 'reporter', text: 'last message id' },
+        { opcode: 'lastMessageChannelId', blockType: 'reporter', text: 'last message channel id' },
+        { opcode: 'lastMessageThreadId', blockType: 'reporter', text: 'last message thread id' },
+        { opcode: 'lastMessageParentId', blockType: 'reporter', text: 'last message thread parent id' },
+        { opcode: 'lastMessageIsReply', blockType: 'Boolean', text: 'last message is a reply?' },
+        { opcode: 'lastMessageReplyToId', blockType: 'reporter', text: 'last message replied-to id' },
+        { opcode: 'lastMessageReplyToAuthor', blockType: 'reporter', text: 'last message replied-to author' },
+        { opcode: 'lastMessageReplyToExcerpt', blockType: 'reporter', text: 'last message replied-to text' },
+        { opcode: 'setTextMode', blockType: 'command', text: 'show message text [MODE]', arguments: { MODE: { type: 'string', menu: 'textModeMenu' } } },
+        '---',
+        { opcode: 'inboxCount', blockType: 'reporter', text: 'messages waiting' },
+        { opcode: 'takeNextMessage', blockType: 'command', text: 'take next message from inbox' },
+        { opcode: 'peekNextMessage', blockType: 'reporter', text: 'peek next message' },
+        { opcode: 'clearInbox', blockType: 'command', text: 'clear inbox' },
+        { opcode: 'inboxDroppedCount', blockType: 'reporter', text: 'messages dropped from inbox' },
+        { opcode: 'setInboxSize', blockType: 'command', text: 'set inbox size to [SIZE]', arguments: { SIZE: { type: 'number', defaultValue: 100 } } },
+        { opcode: 'setInboxFilter', blockType: 'command', text: 'only queue messages from channel [CHANNEL] in server [SERVER]', arguments: {
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'clearInboxFilter', blockType: 'command', text: 'queue messages from everywhere' },
+        '---',
+        { opcode: 'loadHistoryToInbox', blockType: 'command', text: 'load last [COUNT] messages of channel [CHANNEL] in server [SERVER] into inbox', arguments: {
+          COUNT: { type: 'number', defaultValue: 20 },
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'loadHistoryToList', blockType: 'command', text: 'load last [COUNT] messages of channel [CHANNEL] in server [SERVER] into list [LIST]', arguments: {
+          COUNT: { type: 'number', defaultValue: 20 },
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' },
+          LIST: { type: 'string', defaultValue: 'messages' }
+        } },
+        { opcode: 'historyError', blockType: 'reporter', text: 'history error' },
+        { opcode: 'searchMessagesToList', blockType: 'command', text: 'search messages for [QUERY] by [AUTHOR] into list [LIST]', arguments: {
+          QUERY: { type: 'string', defaultValue: 'hello' },
+          AUTHOR: { type: 'string', defaultValue: '' },
+          LIST: { type: 'string', defaultValue: 'results' }
+        } },
+        { opcode: 'searchChannelToList', blockType: 'command', text: 'search channel [CHANNEL] in server [SERVER] for [QUERY] by [AUTHOR] into list [LIST]', arguments: {
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' },
+          QUERY: { type: 'string', defaultValue: 'hello' },
+          AUTHOR: { type: 'string', defaultValue: '' },
+          LIST: { type: 'string', defaultValue: 'results' }
+        } },
+        { opcode: 'searchError', blockType: 'reporter', text: 'search error' },
+        '---',
+        { opcode: 'whenPinged', blockType: 'hat', text: 'when pinged' },
+        { opcode: 'wasPinged', blockType: 'Boolean', text: 'was pinged?' },
+        { opcode: 'lastPingAuthor', blockType: 'reporter', text: 'last ping author' },
+        { opcode: 'lastPingChannel', blockType: 'reporter', text: 'last ping channel' },
+        { opcode: 'lastPingServer', blockType: 'reporter', text: 'last ping server' },
+        { opcode: 'lastPingMessage', blockType: 'reporter', text: 'last ping message' },
+        '---',
+        { opcode: 'whenDirectMessage', blockType: 'hat', text: 'when DM received' },
+        { opcode: 'lastDmText', blockType: 'reporter', text: 'last DM text' },
+        { opcode: 'lastDmAuthor', blockType: 'reporter', text: 'last DM author' },
+        { opcode: 'lastDmAuthorId', blockType: 'reporter', text: 'last DM author id' },
+        { opcode: 'sendDirectMessage', blockType: 'command', text: 'send DM [CONTENT] to user [USER]', arguments: {
+          CONTENT: { type: 'string', defaultValue: 'Hello from Scratch!' },
+          USER: { type: 'string', menu: 'dmMenu' }
+        } },
+        { opcode: 'replyToLastDm', blockType: 'command', text: 'reply [CONTENT] to last DM', arguments: { CONTENT: { type: 'string', defaultValue: 'Got it!' } } },
+        '---',
+        { opcode: 'addCommand', blockType: 'command', text: 'add command [PREFIX] [NAME] with arguments [ARGS]', arguments: {
+          PREFIX: { type: 'string', defaultValue: '!' },
+          NAME: { type: 'string', defaultValue: 'score' },
+          ARGS: { type: 'string', defaultValue: 'who:user points:number' }
+        } },
+        { opcode: 'addChannelCommand', blockType: 'command', text: 'add command [PREFIX] [NAME] with arguments [ARGS] only in channel [CHANNEL] of server [SERVER]', arguments: {
+          PREFIX: { type: 'string', defaultValue: '!' },
+          NAME: { type: 'string', defaultValue: 'score' },
+          ARGS: { type: 'string', defaultValue: 'who:user points:number' },
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'removeAllCommands', blockType: 'command', text: 'remove all commands' },
+        { opcode: 'whenCommandReceived', blockType: 'hat', text: 'when command [NAME] received', arguments: { NAME: { type: 'string', defaultValue: 'score' } } },
+        { opcode: 'commandArgument', blockType: 'reporter', text: 'argument [N]', arguments: { N: { type: 'number', defaultValue: 1 } } },
+        { opcode: 'lastCommandName', blockType: 'reporter', text: 'last command name' },
+        { opcode: 'lastCommandAuthor', blockType: 'reporter', text: 'last command author' },
+        { opcode: 'lastCommandAuthorId', blockType: 'reporter', text: 'last command author id' },
+        { opcode: 'lastCommandMessageId', blockType: 'reporter', text: 'last command message id' },
+        { opcode: 'replyToLastCommand', blockType: 'command', text: 'reply [CONTENT] to last command', arguments: { CONTENT: { type: 'string', defaultValue: 'Done!' } } },
+        '---',
+        { opcode: 'whenMessageEdited', blockType: 'hat', text: 'when a message is edited' },
+        { opcode: 'lastEditContent', blockType: 'reporter', text: 'edited message new text' },
+        { opcode: 'lastEditPrevious', blockType: 'reporter', text: 'edited message old text' },
+        { opcode: 'lastEditMessageId', blockType: 'reporter', text: 'edited message id' },
+        { opcode: 'whenMessageDeleted', blockType: 'hat', text: 'when a message is deleted' },
+        { opcode: 'lastDeleteMessageId', blockType: 'reporter', text: 'deleted message id' },
+        { opcode: 'lastDeleteContent', blockType: 'reporter', text: 'deleted message text' },
+        { opcode: 'whenReaction', blockType: 'hat', text: 'when a reaction is [CHANGE]', arguments: { CHANGE: { type: 'string', menu: 'reactionChangeMenu' } } },
+        { opcode: 'lastReactionEmoji', blockType: 'reporter', text: 'reaction emoji' },
+        { opcode: 'lastReactionUser', blockType: 'reporter', text: 'reaction user' },
+        { opcode: 'lastReactionMessageId', blockType: 'reporter', text: 'reaction message id' },
+        { opcode: 'lastReactionCount', blockType: 'reporter', text: 'reaction count' },
+        { opcode: 'editMessage', blockType: 'command', text: 'edit message [ID] in channel id [CHANNELID] to [CONTENT]', arguments: {
+          ID: { type: 'string', defaultValue: '' },
+          CHANNELID: { type: 'string', defaultValue: '' },
+          CONTENT: { type: 'string', defaultValue: 'edited!' }
+        } },
+        { opcode: 'deleteMessage', blockType: 'command', text: 'delete message [ID] in channel id [CHANNELID]', arguments: {
+          ID: { type: 'string', defaultValue: '' },
+          CHANNELID: { type: 'string', defaultValue: '' }
+        } },
+        { opcode: 'addReaction', blockType: 'command', text: 'react [EMOJI] to message [ID] in channel id [CHANNELID]', arguments: {
+          EMOJI: { type: 'string', defaultValue: '👍' },
+          ID: { type: 'string', defaultValue: '' },
+          CHANNELID: { type: 'string', defaultValue: '' }
+        } },
+        '---',
+        { opcode: 'createThread', blockType: 'command', text: 'start thread [NAME] from message [ID] in channel id [CHANNELID]', arguments: {
+          NAME: { type: 'string', defaultValue: 'New thread' },
+          ID: { type: 'string', defaultValue: '' },
+          CHANNELID: { type: 'string', defaultValue: '' }
+        } },
+        { opcode: 'createThreadFromLastMessage', blockType: 'command', text: 'start thread [NAME] from last message', arguments: { NAME: { type: 'string', defaultValue: 'New thread' } } },
+        { opcode: 'createForumPost', blockType: 'command', text: 'post [CONTENT] titled [TITLE] in forum [CHANNEL] of server [SERVER]', arguments: {
+          CONTENT: { type: 'string', defaultValue: 'Hello from Scratch!' },
+          TITLE: { type: 'string', defaultValue: 'My post' },
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'lastCreatedThreadId', blockType: 'reporter', text: 'last created thread id' },
+        { opcode: 'joinThread', blockType: 'command', text: 'join thread id [THREADID]', arguments: { THREADID: { type: 'string', defaultValue: '' } } },
+        { opcode: 'archiveThread', blockType: 'command', text: '[ARCHIVE] thread id [THREADID]', arguments: {
+          ARCHIVE: { type: 'string', menu: 'archiveMenu' },
+          THREADID: { type: 'string', defaultValue: '' }
+        } },
+        '---',
+        { opcode: 'userAvatar', blockType: 'reporter', text: 'avatar URL of [USER]', arguments: { USER: { type: 'string', defaultValue: 'username or id' } } },
+        { opcode: 'memberNickname', blockType: 'reporter', text: 'nickname of [USER] in server [SERVER]', arguments: {
+          USER: { type: 'string', defaultValue: 'username or id' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'memberRoles', blockType: 'reporter', text: 'roles of [USER] in server [SERVER]', arguments: {
+          USER: { type: 'string', defaultValue: 'username or id' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        '---',
+        { opcode: 'subscribeChannel', blockType: 'command', text: 'subscribe to [EVENT] in channel [CHANNEL] of server [SERVER]', arguments: {
+          EVENT: { type: 'string', menu: 'eventMenu' },
+          CHANNEL: { type: 'string', menu: 'channelMenu' },
+          SERVER: { type: 'string', menu: 'serverMenu' }
+        } },
+        { opcode: 'subscribeAuthor', blockType: 'command', text: 'subscribe to [EVENT] from user id [AUTHOR]', arguments: {
+          EVENT: { type: 'string', menu: 'eventMenu' },
+          AUTHOR: { type: 'string', defaultValue: '' }
+        } },
+        { opcode: 'subscribeMentions', blockType: 'command', text: 'subscribe to messages that mention me' },
+        { opcode: 'unsubscribeAll', blockType: 'command', text: 'unsubscribe from everything' },
+        { opcode: 'subscriptionCount', blockType: 'reporter', text: 'subscription count' },
+        '---',
+        { opcode: 'getVersion', blockType: 'reporter', text: 'extension version' }
+      ],
+      menus: {
+        eventMenu: { acceptReporters: false, items: [
+          { text: 'messages', value: 'message' }, { text: 'pings', value: 'ping' }, { text: 'DMs', value: 'dm' },
+          { text: 'edits', value: 'messageUpdate' }, { text: 'deletions', value: 'messageDelete' },
+          { text: 'reactions added', value: 'reactionAdd' }, { text: 'reactions removed', value: 'reactionRemove' },
+          { text: 'all events', value: 'all' }
+        ] },
+        costumeMenu: { acceptReporters: true, items: 'getCostumeMenu' },
+        soundMenu: { acceptReporters: true, items: 'getSoundMenu' },
+        inlineMenu: { acceptReporters: false, items: [{ text: 'on its own line', value: 'block' }, { text: 'inline', value: 'inline' }] },
+        textModeMenu: { acceptReporters: false, items: [
+          { text: 'with names', value: 'rendered' }, { text: 'as plain text (no markdown)', value: 'plain' }, { text: 'exactly as sent (raw)', value: 'raw' }
+        ] },
+        mentionMenu: { acceptReporters: false, items: [{ text: 'with ping', value: 'ping' }, { text: 'without ping', value: 'silent' }] },
+        archiveMenu: { acceptReporters: false, items: [{ text: 'archive', value: 'archive' }, { text: 'unarchive', value: 'unarchive' }] },
+        reactionChangeMenu: { acceptReporters: false, items: [{ text: 'added', value: 'reactionAdd' }, { text: 'removed', value: 'reactionRemove' }] },
+        serverMenu: { acceptReporters: true, items: 'getServerMenu' },
+        channelMenu: { acceptReporters: true, items: 'getChannelMenu' },
+        dmMenu: { acceptReporters: true, items: 'getDmMenu' }
+      }
     };
   }
 
+  // --- dynamic menus (rebuilt from this.guilds / this.channels) ---
+  getServerMenu() {
+    if (!this.guilds.length) return [{ text: '(no servers yet)', value: '' }];
+    return this.guilds.map(g => ({ text: g.name, value: g.id }));
+  }
+
+  // scratch-vm only tells menus the editing target, not the block, so the channel menu can't follow the SERVER
+  // dropdown next to it. It lists the server picked with "show server in channel menus" (or last sent to), else the first.
+  getChannelMenu() {
+    const guild = this._findGuild(this._selectedServer) || this.guilds[0];
+    const channels = guild ? (this.channels[guild.id] || []) : [];
+    if (!channels.length) return [{ text: '(no channels yet)', value: '' }];
+    // threads are listed right under their parent channel
+    const items = [];
+    channels.forEach(c => {
+      items.push({ text: (c.forum ? '🗨 ' : '#') + c.name, value: c.id });
+      c.threads.forEach(t => items.push({ text: '    ↳ ' + t.name, value: t.id }));
+    });
+    return items;
+  }
+
+  // server-list channel -> local entry ({ id, name, forum, threads })
+  _channelEntry(c) {
+    return { id: c.id, name: c.name, forum: !!c.forum, threads: (c.threads || []).map(t => ({ id: t.id, name: t.name })) };
+  }
+
+  getDmMenu() {
+    if (!this.dms.length) return [{ text: '(no DMs yet)', value: '' }];
+    return this.dms.map(d => ({ text: d.username || d.userId, value: d.userId }));
+  }
+
+  _editingTarget(targetId) {
+    try { return Scratch.vm.runtime.getTargetById(targetId) || Scratch.vm.runtime.getEditingTarget(); } catch (e) { return null; }
+  }
+  getCostumeMenu(targetId) {
+    const target = this._editingTarget(targetId);
+    const names = target ? target.getCostumes().map(c => c.name) : [];
+    return names.length ? names : [''];
+  }
+  getSoundMenu(targetId) {
+    const target = this._editingTarget(targetId);
+    const names = target && target.sprite ? target.sprite.sounds.map(snd => snd.name) : [];
+    return names.length ? names : [''];
+  }
+
+  _findGuild(nameOrId) {
+    if (!nameOrId) return null;
+    return this.guilds.find(g => g.id === nameOrId || g.name === nameOrId) || null;
+  }
+
+  _findChannel(guild, nameOrId) {
+    if (!guild || !nameOrId) return null;
+    const channels = this.channels[guild.id] || [];
+    const match = c => c.name === nameOrId || c.id === nameOrId;
+    for (const c of channels) if (match(c)) return c;
+    for (const c of channels) {
+      const thread = c.threads.find(match);
+      if (thread) return thread;
+    }
+    return null;
+  }
+
+  // incremental server-list updates pushed by the bridge
+  _applyCacheDiff(msg) {
+    const guild = this.guilds.find(g => g.id === msg.guildId);
+    const channels = this.channels[msg.guildId] || (this.channels[msg.guildId] = []);
+    if (msg.type === 'guildRemoved') {
+      this.guilds = this.guilds.filter(g => g.id !== msg.guildId);
+      delete this.channels[msg.guildId];
+    } else if (msg.type === 'guildRenamed') {
+      if (guild) guild.name = String(msg.name || '');
+    } else if (msg.type === 'channelAdded' && msg.channel) {
+      if (!channels.some(c => c.id === msg.channel.id)) channels.push(this._channelEntry(msg.channel));
+    } else if (msg.type === 'channelRenamed') {
+      const ch = channels.find(c => c.id === msg.channelId);
+      if (ch) ch.name = String(msg.name || '');
+    } else if (msg.type === 'channelRemoved') {
+      this.channels[msg.guildId] = channels.filter(c => c.id !== msg.channelId);
+    } else if (msg.type.startsWith('thread')) {
+      const parent = channels.find(c => c.id === msg.parentId);
+      if (parent && msg.type === 'threadAdded' && msg.thread && !parent.threads.some(t => t.id === msg.thread.id)) {
+        parent.threads.push({ id: msg.thread.id, name: msg.thread.name });
+      } else if (parent && msg.type === 'threadRenamed') {
+        const thread = parent.threads.find(t => t.id === msg.threadId);
+        if (thread) thread.name = String(msg.name || '');
+      } else if (parent && msg.type === 'threadRemoved') {
+        parent.threads = parent.threads.filter(t => t.id !== msg.threadId);
+      }
+    }
+    this._refreshMenus();
+  }
+
+  _refreshMenus() {
+    try {
+      if (typeof Scratch !== 'undefined' && Scratch.vm && Scratch.vm.extensionManager && typeof Scratch.vm.extensionManager.refreshBlocks === 'function') {
+        Scratch.vm.extensionManager.refreshBlocks();
+      }
+    } catch (e) { this._log('menu refresh failed', e); }
+  }
+
   _log(...args) { try { console.log('[DiscordLink ext]', ...args); } catch (e) {} }
 
   // --- connect with backoff + jitter ---
@@ -50,13 +455,35 @@ class DiscordLink {
     }
 
     this.url = URL;
+    this._lastSeq = null; // a different bridge has its own sequence
+    this._epoch = null;
+    this._session = null;
     this._createSocket();
   }
 
+  setAuthKey({ KEY }) {
+    this.authKey = String(KEY || '');
+    this.authError = '';
+  }
+  selectServer({ SERVER }) {
+    const guild = this._findGuild(String(SERVER || ''));
+    if (guild) this._selectedServer = guild.id;
+  }
+  authErrorText() { return String(this.authError || ''); }
+  missedEvents() { return this._missedEvents; }
+
   _createSocket() {
     // create new socket
     try {
-      this.ws = new WebSocket(this.url);
+      const url = new URL(this.url);
+      // after a reconnect, ask for our session back and the events sent while we were away
+      this._resuming = this._lastSeq !== null;
+      if (this._resuming) {
+        url.searchParams.set('resumeSeq', String(this._lastSeq));
+        url.searchParams.set('epoch', this._epoch || '');
+        if (this._session) url.searchParams.set('session', this._session);
+      }
+      this.ws = new WebSocket(url.toString());
     } catch (e) {
       this._scheduleReconnect();
       return;
@@ -67,9 +494,16 @@ class DiscordLink {
       this.connected = true;
       this.reconnectAttempts = 0; // reset backoff on successful connect
 
+      // authenticate first; the bridge closes sockets that don't
+      try { this.ws.send(JSON.stringify({ type: 'hello', key: this.authKey, version: this.VERSION })); } catch (e) {}
+
       // ask for data immediately
       try { this.ws.send(JSON.stringify({ type: 'getServerList' })); } catch (e) {}
 
+      // re-apply subscriptions (a resumed session still has them, but an expired one doesn't)
+      this.subscriptions.forEach(sub => this._sendSubscription(sub));
+      this.commands.forEach(cmd => this._sendCommand(cmd));
+
       // start client heartbeat (optional)
       if (this._clientHbTimer) clearInterval(this._clientHbTimer);
       this._clientHbTimer = setInterval(() => {
@@ -87,32 +521,61 @@ class DiscordLink {
         return;
       }
 
+      if (msg.type === 'helloOk') { this.authError = ''; return; }
+
+      if (msg.type === 'resumed') { this._resuming = false; this._missedEvents = false; return; }
+      if (msg.type === 'resumeFailed') {
+        // too far behind (or the bridge restarted): carry on from the bridge's current position
+        this._resuming = false;
+        this._missedEvents = true;
+        this._lastSeq = typeof msg.seq === 'number' ? msg.seq : null;
+        this._epoch = msg.epoch || null;
+        return;
+      }
+      if (typeof msg.seq === 'number') {
+        if (msg.type === 'bridgeStatus') {
+          // a fresh connection starts from here; a resuming one keeps its own position
+          this._session = msg.session || null;
+          if (!this._resuming) { this._lastSeq = msg.seq; this._epoch = msg.epoch || null; }
+        } else {
+          this._lastSeq = Math.max(this._lastSeq || 0, msg.seq);
+        }
+      }
+
+      // replies to _request() calls
+      if (msg.requestId && this._pendingRequests.has(msg.requestId)) {
+        const pending = this._pendingRequests.get(msg.requestId);
+        this._pendingRequests.delete(msg.requestId);
+        clearTimeout(pending.timer);
+        if (msg.type === 'error') pending.reject(new Error(String(msg.error || 'request-failed')));
+        else pending.resolve(msg);
+        return;
+      }
+      if (msg.type === 'authFailed') { this.authError = String(msg.error || 'auth-failed'); return; }
+
       // Normal messages follow existing semantics
       if (msg.type === 'bridgeStatus') this.connected = !!msg.bridgeConnected;
       if (msg.type === 'ready') this.discordReady = !!msg.value;
       if (msg.type === 'serverList') {
         this.guilds = (msg.servers || []).map(s => ({ id: s.id, name: s.name }));
         this.channels = {};
-        (msg.servers || []).forEach(s => this.channels[s.id] = (s.channels || []).map(c => ({ id: c.id, name: c.name })));
+        (msg.servers || []).forEach(s => this.channels[s.id] = (s.channels || []).map(c => this._channelEntry(c)));
+        this.dms = (msg.dms || []).map(d => ({ userId: String(d.userId), username: String(d.username || ''), channelId: String(d.channelId || '') }));
+        this._refreshMenus();
+      }
+      if ((msg.type === 'serverPartial' || msg.type === 'guildAdded') && msg.guild) {
+        const g = msg.guild;
+        const existing = this.guilds.find(x => x.id === g.id);
+        if (existing) existing.name = g.name; else this.guilds.push({ id: g.id, name: g.name });
+        this.channels[g.id] = (g.channels || []).map(c => this._channelEntry(c));
+        this._refreshMenus();
       }
+      if (['guildRemoved', 'guildRenamed', 'channelAdded', 'channelRenamed', 'channelRemoved', 'threadAdded', 'threadRenamed', 'threadRemoved'].includes(msg.type)) this._applyCacheDiff(msg);
 
       if (msg.type === 'message') {
-        const d = msg.data || {};
-        const visible = String(d.displayText ?? d.trimmedContent ?? d.rawContent ?? '').trim();
-        const attachments = Array.isArray(d.attachments) ? d.attachments : [];
-        const firstAttachment = attachments.length ? (attachments[0].url || '') : '';
-
-        this._lastMessage = {
-          content: visible || (firstAttachment || '[no content]'),
-          channelName: String(d.channelName || ''),
-          guildName: String(d.guildName || ''),
-          authorName: String(d.author?.username || ''),
-          authorId: String(d.author?.id || ''),
-          timestamp: d.timestamp || Date.now(),
-          firstAttachmentUrl: firstAttachment,
-          fromSelf: !!d.fromSelf,
-          rawContent: String(d.rawContent || '')
-        };
+        const entry = this._messageEntry(msg.data || {});
+        this._lastMessage = entry;
+        if (this._inboxAccepts(entry)) this._enqueueInbox(entry);
 
         this._pendingMessage = true;
         try { if (this.runtime && typeof this.runtime.startHats === 'function') this.runtime.startHats('whenMessageReceived', {}); } catch (e) {}
@@ -133,12 +596,69 @@ class DiscordLink {
         try { if (this.runtime && typeof this.runtime.startHats === 'function') this.runtime.startHats('whenPinged', {}); } catch (e) {}
       }
 
-      // handle ack/pong types if needed...
+      if (msg.type === 'dm') {
+        this._lastDm = this._messageEntry(msg.data || {});
+        if (!this._lastDm.fromSelf) {
+          this._pendingDm = true;
+          try { if (this.runtime && typeof this.runtime.startHats === 'function') this.runtime.startHats('whenDirectMessage', {}); } catch (e) {}
+        }
+      }
+
+      if (msg.type === 'command') {
+        const d = msg.data || {};
+        this._lastCommand = {
+          name: String(d.command || ''),
+          args: Array.isArray(d.args) ? d.args : [],
+          messageId: String(d.messageId || ''),
+          channelId: String(d.channelId || ''),
+          authorName: String(d.author?.username || ''),
+          authorId: String(d.author?.id || '')
+        };
+        this._pendingCommands.add(this._lastCommand.name);
+        try { if (this.runtime && typeof this.runtime.startHats === 'function') this.runtime.startHats('whenCommandReceived', {}); } catch (e) {}
+      }
+
+      if (msg.type === 'messageUpdate') {
+        const d = msg.data || {};
+        this._lastEdit = { ...this._messageEntry(d), previousContent: d.previousContent == null ? '' : String(d.previousContent) };
+        this._pendingEvents.messageUpdate = true;
+      }
+
+      if (msg.type === 'messageDelete') {
+        const d = msg.data || {};
+        this._lastDelete = {
+          messageId: String(d.messageId || ''),
+          channelId: String(d.channelId || ''),
+          channelName: String(d.channelName || ''),
+          content: d.rawContent == null ? '' : String(d.rawContent)
+        };
+        this._pendingEvents.messageDelete = true;
+      }
+
+      if (msg.type === 'reactionAdd' || msg.type === 'reactionRemove') {
+        const d = msg.data || {};
+        this._lastReaction = {
+          messageId: String(d.messageId || ''),
+          channelId: String(d.channelId || ''),
+          emoji: String(d.emoji?.name || ''),
+          user: String(d.user?.username || ''),
+          userId: String(d.user?.id || ''),
+          count: Number(d.count) || 0
+        };
+        this._pendingEvents[msg.type] = true;
+      }
+
+      if (msg.type === 'ack') this._handleAck(msg);
     };
 
     this.ws.onclose = (ev) => {
       this._log('ws closed', ev && ev.code, ev && ev.reason);
       this._cleanupSocket();
+      // 4001 = rejected by the bridge's auth; retrying with the same key won't help
+      if (ev && ev.code === 4001) {
+        this.authError = this.authError || String(ev.reason || 'auth-failed');
+        return;
+      }
       this._scheduleReconnect();
     };
 
@@ -148,7 +668,83 @@ class DiscordLink {
     };
   }
 
+  _messageEntry(d) {
+    const visible = String(d.displayText ?? d.trimmedContent ?? d.rawContent ?? '').trim();
+    const attachments = Array.isArray(d.attachments) ? d.attachments : [];
+    const firstAttachment = attachments.length ? (attachments[0].url || '') : '';
+    return {
+      content: visible || (firstAttachment || '[no content]'),
+      plainText: String(d.plainText ?? ''),
+      embeds: Array.isArray(d.embeds) ? d.embeds : [],
+      messageId: String(d.messageId || ''),
+      channelId: String(d.channelId || ''),
+      channelName: String(d.channelName || ''),
+      threadId: String(d.threadId || ''),
+      parentId: String(d.parentId || ''),
+      guildId: String(d.guildId || ''),
+      guildName: String(d.guildName || ''),
+      authorName: String(d.author?.username || ''),
+      authorId: String(d.author?.id || ''),
+      authorDisplayName: String(d.author?.displayName || d.author?.username || ''),
+      authorAvatarUrl: String(d.author?.avatarUrl || ''),
+      authorRoles: Array.isArray(d.author?.roles) ? d.author.roles.map(String) : [],
+      timestamp: d.timestamp || Date.now(),
+      firstAttachmentUrl: firstAttachment,
+      firstAttachmentId: attachments.length ? String(attachments[0].id || '') : '',
+      fromSelf: !!d.fromSelf,
+      rawContent: String(d.rawContent || ''),
+      replyToId: String(d.replyTo?.messageId || ''),
+      replyToAuthor: String(d.replyTo?.author?.username || ''),
+      replyToExcerpt: String(d.replyTo?.excerpt || '')
+    };
+  }
+
+  // --- inbox helpers ---
+  _inboxAccepts(entry) {
+    const { server, channel } = this.inboxFilter;
+    if (server && entry.guildId !== server && entry.guildName !== server) return false;
+    if (channel && entry.channelId !== channel && entry.channelName !== channel && entry.parentId !== channel) return false;
+    return true;
+  }
+
+  _enqueueInbox(entry) {
+    this.inbox.push(entry);
+    this._trimInbox();
+  }
+
+  _trimInbox() {
+    while (this.inbox.length > this.inboxLimit) {
+      this.inbox.shift();
+      this.inboxDropped++;
+    }
+  }
+
+  // send a request and resolve with the reply carrying the same requestId
+  _request(payload) {
+    return new Promise((resolve, reject) => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) { reject(new Error('not-connected')); return; }
+      const requestId = 'req' + (++this._requestCounter);
+      const timer = setTimeout(() => {
+        this._pendingRequests.delete(requestId);
+        reject(new Error('timeout'));
+      }, this.requestTimeout);
+      this._pendingRequests.set(requestId, { resolve, reject, timer });
+      try { this.ws.send(JSON.stringify({ ...payload, requestId })); } catch (e) {
+        clearTimeout(timer);
+        this._pendingRequests.delete(requestId);
+        reject(e);
+      }
+    });
+  }
+
+  _failPendingRequests(reason) {
+    this._pendingRequests.forEach(p => { clearTimeout(p.timer); p.reject(new Error(reason)); });
+    this._pendingRequests.clear();
+  }
+
   _cleanupSocket() {
+    this._failPendingRequests('disconnected');
+    this._failPendingSends('disconnected');
     this.connected = false;
     this.discordReady = false;
     if (this._clientHbTimer) { clearInterval(this._clientHbTimer); this._clientHbTimer = null; }
@@ -172,19 +768,59 @@ class DiscordLink {
     }, delay);
   }
 
-  // ... implement the rest of your blocks exactly as you had them (sendMessage, reporters, hats) ...
-  // For brevity, I will include the key hat consumption functions here:
-
+  // --- hats: each fires once per pending event ---
   whenMessageReceived() {
     if (this._pendingMessage) { this._pendingMessage = false; return true; }
     return false;
   }
-  lastMessage() { return String(this._lastMessage.content || ''); }
+  // message text in the chosen mode; attachment-only messages fall back to the rendered text
+  _textOf(entry) {
+    if (!entry) return '';
+    if (this.textMode === 'raw' && entry.rawContent) return String(entry.rawContent);
+    if (this.textMode === 'plain' && entry.plainText) return String(entry.plainText);
+    return String(entry.content || '');
+  }
+  setTextMode({ MODE }) { this.textMode = ['plain', 'raw'].includes(MODE) ? MODE : 'rendered'; }
+  lastMessage() { return this._textOf(this._lastMessage); }
+  lastMessageEmbedsJson() { return JSON.stringify(this._lastMessage.embeds || []); }
   lastMessageAttachment() { return String(this._lastMessage.firstAttachmentUrl || ''); }
   lastMessageChannel() { return String(this._lastMessage.channelName || ''); }
   lastMessageServer() { return String(this._lastMessage.guildName || ''); }
   lastMessageAuthor() { return String(this._lastMessage.authorName || ''); }
+  lastMessageAuthorNickname() { return String(this._lastMessage.authorDisplayName || ''); }
+  lastMessageAuthorAvatar() { return String(this._lastMessage.authorAvatarUrl || ''); }
+  lastMessageAuthorRoles() { return (this._lastMessage.authorRoles || []).join(', '); }
+  lastMessageAuthorHasRole({ ROLE }) {
+    const role = String(ROLE || '').toLowerCase();
+    return (this._lastMessage.authorRoles || []).some(r => r.toLowerCase() === role);
+  }
   lastMessageTimestamp() { return String(this._lastMessage.timestamp || ''); }
+  lastMessageId() { return String(this._lastMessage.messageId || ''); }
+  lastMessageChannelId() { return String(this._lastMessage.channelId || ''); }
+  lastMessageThreadId() { return String(this._lastMessage.threadId || ''); }
+  lastMessageParentId() { return String(this._lastMessage.parentId || ''); }
+  lastMessageIsReply() { return !!this._lastMessage.replyToId; }
+  lastMessageReplyToId() { return String(this._lastMessage.replyToId || ''); }
+  lastMessageReplyToAuthor() { return String(this._lastMessage.replyToAuthor || ''); }
+  lastMessageReplyToExcerpt() { return String(this._lastMessage.replyToExcerpt || ''); }
+
+  inboxCount() { return this.inbox.length; }
+  takeNextMessage() {
+    const next = this.inbox.shift();
+    if (next) this._lastMessage = next;
+  }
+  peekNextMessage() { return this.inbox.length ? this._textOf(this.inbox[0]) : ''; }
+  clearInbox() { this.inbox = []; }
+  inboxDroppedCount() { return this.inboxDropped; }
+  setInboxSize({ SIZE }) {
+    const n = Math.floor(Number(SIZE));
+    this.inboxLimit = Number.isFinite(n) && n > 0 ? n : 1;
+    this._trimInbox();
+  }
+  setInboxFilter({ CHANNEL, SERVER }) {
+    this.inboxFilter = { server: String(SERVER || ''), channel: String(CHANNEL || '') };
+  }
+  clearInboxFilter() { this.inboxFilter = { server: '', channel: '' }; }
 
   whenPinged() {
     if (this._pendingPing) { this._pendingPing = false; return true; }
@@ -196,25 +832,532 @@ class DiscordLink {
   lastPingServer() { return String(this._lastPing.guildName || ''); }
   lastPingMessage() { return String(this._lastPing.content || ''); }
 
-  // sendMessage example (include ref)
-  sendMessage({ CONTENT, CHANNEL, SERVER }) {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) { this._log('sendMessage: ws not open'); return; }
-    const guild = this.guilds.find(g => g.name === SERVER || g.id === SERVER);
+  // --- direct messages ---
+  whenDirectMessage() {
+    if (this._pendingDm) { this._pendingDm = false; return true; }
+    return false;
+  }
+  lastDmText() { return this._textOf(this._lastDm); }
+  lastDmAuthor() { return String(this._lastDm.authorName || ''); }
+  lastDmAuthorId() { return String(this._lastDm.authorId || ''); }
+
+  // USER is a user id (from the DM menu or typed) or the name of a recent contact
+  sendDirectMessage({ CONTENT, USER }) {
+    const user = String(USER || '').trim();
+    const contact = this.dms.find(d => d.userId === user || d.username === user);
+    const payload = { type: 'sendDirectMessage', content: String(CONTENT || ''), files: this._takeFiles(), embeds: this._takeEmbeds() };
+    if (contact) payload.userId = contact.userId;
+    else if (/^\d+$/.test(user)) payload.userId = user;
+    else payload.username = user;
+    this._sendTracked(payload);
+  }
+  replyToLastDm({ CONTENT }) {
+    if (!this._lastDm.authorId || this._lastDm.fromSelf) return;
+    this.sendDirectMessage({ CONTENT, USER: this._lastDm.authorId });
+  }
+
+  // --- prefix commands ---
+  // ARGS: space-separated "name:type" (types: user, channel, number, rest); a trailing ? makes one optional
+  _commandPayload(PREFIX, NAME, ARGS) {
+    const args = String(ARGS || '').split(/[\s,]+/).filter(Boolean).map(word => {
+      const optional = word.endsWith('?');
+      const [name, type] = (optional ? word.slice(0, -1) : word).split(':');
+      return type ? { name, type, optional } : { type: name, optional };
+    });
+    return { type: 'registerCommand', prefix: String(PREFIX || '!'), name: String(NAME || '').toLowerCase(), args };
+  }
+  _sendCommand(cmd) {
+    try { if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(cmd)); } catch (e) { this._log('registerCommand failed', e); }
+  }
+  _addCommand(cmd) {
+    this.commands = this.commands.filter(c => c.prefix !== cmd.prefix || c.name !== cmd.name).concat([cmd]);
+    this._sendCommand(cmd);
+  }
+  addCommand({ PREFIX, NAME, ARGS }) {
+    this._addCommand(this._commandPayload(PREFIX, NAME, ARGS));
+  }
+  addChannelCommand({ PREFIX, NAME, ARGS, CHANNEL, SERVER }) {
+    const guild = this._findGuild(SERVER);
+    const chObj = this._findChannel(guild, CHANNEL);
+    this._addCommand({ ...this._commandPayload(PREFIX, NAME, ARGS), channels: [chObj ? chObj.id : String(CHANNEL || '')] });
+  }
+  removeAllCommands() {
+    this.commands = [];
+    try { if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify({ type: 'unregisterCommand', all: true })); } catch (e) {}
+  }
+  whenCommandReceived({ NAME }) {
+    const name = String(NAME || '').toLowerCase();
+    if (this._pendingCommands.has(name)) { this._pendingCommands.delete(name); return true; }
+    return false;
+  }
+  // numbers as numbers; users and channels as their ids; missing optional ones as ''
+  commandArgument({ N }) {
+    const arg = this._lastCommand.args[Math.floor(Number(N)) - 1];
+    return arg && arg.value !== null && arg.value !== undefined ? arg.value : '';
+  }
+  lastCommandName() { return this._lastCommand.name; }
+  lastCommandAuthor() { return String(this._lastCommand.authorName || ''); }
+  lastCommandAuthorId() { return String(this._lastCommand.authorId || ''); }
+  lastCommandMessageId() { return String(this._lastCommand.messageId || ''); }
+  replyToLastCommand({ CONTENT }) {
+    if (!this._lastCommand.messageId) return;
+    this.replyToMessage({ CONTENT, ID: this._lastCommand.messageId, CHANNELID: this._lastCommand.channelId, MENTION: 'ping' });
+  }
+
+  // --- edits / deletes / reactions ---
+  _consumeEvent(type) {
+    if (this._pendingEvents[type]) { this._pendingEvents[type] = false; return true; }
+    return false;
+  }
+  whenMessageEdited() { return this._consumeEvent('messageUpdate'); }
+  lastEditContent() { return this._textOf(this._lastEdit); }
+  lastEditPrevious() { return String(this._lastEdit.previousContent || ''); }
+  lastEditMessageId() { return String(this._lastEdit.messageId || ''); }
+  whenMessageDeleted() { return this._consumeEvent('messageDelete'); }
+  lastDeleteMessageId() { return String(this._lastDelete.messageId || ''); }
+  lastDeleteContent() { return String(this._lastDelete.content || ''); }
+  whenReaction({ CHANGE }) { return this._consumeEvent(CHANGE); }
+  lastReactionEmoji() { return String(this._lastReaction.emoji || ''); }
+  lastReactionUser() { return String(this._lastReaction.user || ''); }
+  lastReactionMessageId() { return String(this._lastReaction.messageId || ''); }
+  lastReactionCount() { return Number(this._lastReaction.count) || 0; }
+
+  _sendMessageAction(type, fields) {
+    this._sendTracked({ type, ...fields });
+  }
+  editMessage({ ID, CHANNELID, CONTENT }) {
+    this._sendMessageAction('editMessage', { messageId: String(ID || ''), channelId: String(CHANNELID || ''), content: String(CONTENT || '') });
+  }
+  deleteMessage({ ID, CHANNELID }) {
+    this._sendMessageAction('deleteMessage', { messageId: String(ID || ''), channelId: String(CHANNELID || '') });
+  }
+  addReaction({ EMOJI, ID, CHANNELID }) {
+    this._sendMessageAction('addReaction', { messageId: String(ID || ''), channelId: String(CHANNELID || ''), emoji: String(EMOJI || '') });
+  }
+
+  // --- threads & forums ---
+  createThread({ NAME, ID, CHANNELID }) {
+    this._sendMessageAction('createThread', { messageId: String(ID || ''), channelId: String(CHANNELID || ''), name: String(NAME || '') });
+  }
+  createThreadFromLastMessage({ NAME }) {
+    if (!this._lastMessage.messageId) return;
+    this.createThread({ NAME, ID: this._lastMessage.messageId, CHANNELID: this._lastMessage.channelId });
+  }
+  createForumPost({ CONTENT, TITLE, CHANNEL, SERVER }) {
+    this._sendTracked({ ...this._sendMessagePayload(CONTENT, CHANNEL, SERVER), type: 'createForumPost', title: String(TITLE || '') });
+  }
+  lastCreatedThreadId() { return this._lastThreadId; }
+  joinThread({ THREADID }) {
+    this._sendMessageAction('joinThread', { threadId: String(THREADID || '') });
+  }
+  archiveThread({ ARCHIVE, THREADID }) {
+    this._sendMessageAction('archiveThread', { threadId: String(THREADID || ''), archived: ARCHIVE !== 'unarchive' });
+  }
+
+  // --- subscriptions ---
+  _sendSubscription(sub) {
+    try { if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify({ type: 'subscribe', ...sub })); } catch (e) { this._log('subscribe failed', e); }
+  }
+  _addSubscription(filter) {
+    const sub = { id: 'sub' + (++this._subCounter), ...filter };
+    this.subscriptions.push(sub);
+    this._sendSubscription(sub);
+  }
+  subscribeChannel({ EVENT, CHANNEL, SERVER }) {
+    const guild = this._findGuild(SERVER);
+    const guildId = guild ? guild.id : (SERVER ? String(SERVER) : null);
+    const chObj = this._findChannel(guild, CHANNEL);
+    const channelId = chObj ? chObj.id : (CHANNEL ? String(CHANNEL) : null);
+    this._addSubscription({ events: EVENT === 'all' ? null : [EVENT], guildId, channelId });
+  }
+  subscribeAuthor({ EVENT, AUTHOR }) {
+    this._addSubscription({ events: EVENT === 'all' ? null : [EVENT], authorId: String(AUTHOR || '') || null });
+  }
+  subscribeMentions() { this._addSubscription({ mentionsMe: true }); }
+  unsubscribeAll() {
+    this.subscriptions = [];
+    try { if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify({ type: 'unsubscribe', all: true })); } catch (e) {}
+  }
+  subscriptionCount() { return this.subscriptions.length; }
+
+  // --- history ---
+  // Pages backwards from the newest message until COUNT messages (max 500) are loaded; oldest first.
+  async _loadHistory(COUNT, CHANNEL, SERVER) {
+    const guild = this._findGuild(SERVER);
+    const chObj = this._findChannel(guild, CHANNEL);
+    const channelId = chObj ? chObj.id : String(CHANNEL || '');
+    let remaining = Math.max(1, Math.min(500, Math.floor(Number(COUNT) || 0)));
+    let before = null;
+    let messages = [];
+    this.lastHistoryError = '';
+    try {
+      while (remaining > 0) {
+        const page = await this._request({ type: 'fetchHistory', channelId, limit: Math.min(100, remaining), before });
+        const pageMessages = Array.isArray(page.messages) ? page.messages : [];
+        messages = pageMessages.concat(messages);
+        remaining -= pageMessages.length;
+        if (!page.before) break; // a page can be short (webhook messages skipped) and still have older ones
+        before = page.before;
+      }
+    } catch (e) {
+      this.lastHistoryError = String(e && e.message ? e.message : e);
+    }
+    return messages.map(d => this._messageEntry(d));
+  }
+
+  async loadHistoryToInbox({ COUNT, CHANNEL, SERVER }) {
+    const entries = await this._loadHistory(COUNT, CHANNEL, SERVER);
+    entries.filter(e => this._inboxAccepts(e)).forEach(e => this._enqueueInbox(e));
+  }
+
+  async loadHistoryToList({ COUNT, CHANNEL, SERVER, LIST }, util) {
+    const entries = await this._loadHistory(COUNT, CHANNEL, SERVER);
+    const list = util && util.target ? util.target.lookupVariableByNameAndType(String(LIST), 'list') : null;
+    if (!list) { this.lastHistoryError = this.lastHistoryError || 'list not found'; return; }
+    list.value = entries.map(e => e.authorName + ': ' + this._textOf(e));
+    list._monitorUpToDate = false;
+  }
+
+  historyError() { return String(this.lastHistoryError || ''); }
+
+  // --- archive search (needs BRIDGE_ARCHIVE=on on the bridge) ---
+  // AUTHOR may be a user id, a username or empty for anyone
+  _searchFilter(QUERY, AUTHOR) {
+    const author = String(AUTHOR || '').trim();
+    return {
+      query: String(QUERY || '') || null,
+      ...(/^\d{15,}$/.test(author) ? { authorId: author } : { author: author || null })
+    };
+  }
+
+  // Newest matches (up to 100) into the list, oldest first, as "author: text"
+  async _searchToList(filter, LIST, util) {
+    this.lastSearchError = '';
+    const list = util && util.target ? util.target.lookupVariableByNameAndType(String(LIST), 'list') : null;
+    if (!list) { this.lastSearchError = 'list not found'; return; }
+    let entries = [];
+    try {
+      const page = await this._request({ type: 'searchMessages', limit: 100, ...filter });
+      entries = (Array.isArray(page.messages) ? page.messages : []).map(d => this._messageEntry(d));
+    } catch (e) {
+      this.lastSearchError = String(e && e.message ? e.message : e);
+    }
+    list.value = entries.map(e => e.authorName + ': ' + this._textOf(e));
+    list._monitorUpToDate = false;
+  }
+
+  searchMessagesToList({ QUERY, AUTHOR, LIST }, util) {
+    return this._searchToList(this._searchFilter(QUERY, AUTHOR), LIST, util);
+  }
+
+  searchChannelToList({ CHANNEL, SERVER, QUERY, AUTHOR, LIST }, util) {
+    const guild = this._findGuild(SERVER);
+    const chObj = this._findChannel(guild, CHANNEL);
+    const channelId = chObj ? chObj.id : String(CHANNEL || '');
+    return this._searchToList({ ...this._searchFilter(QUERY, AUTHOR), channelId }, LIST, util);
+  }
+
+  searchError() { return String(this.lastSearchError || ''); }
+
+  // --- ref/ack tracking ---
+  _nextRef() { return Date.now().toString() + '-' + (++this._refCounter); }
+
+  // send a ref'd request and track it until its ack; returns the ref (null if not sent)
+  _sendTracked(payload) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      this._log(payload.type + ': ws not open');
+      this.lastSendStatus = 'not-connected';
+      this.lastSendError = 'not-connected';
+      return null;
+    }
+    const ref = payload.ref || this._nextRef();
+    this._pendingSends.set(ref, { waiters: [] });
+    this.lastSendStatus = 'pending';
+    this.lastSendError = '';
+    try { this.ws.send(JSON.stringify({ ...payload, ref })); } catch (e) {
+      this._log(payload.type + ' failed', e);
+      this._settleSend(ref, 'failed', 'send-failed');
+      return null;
+    }
+    return ref;
+  }
+
+  _handleAck(msg) {
+    if (msg.rateLimit) this._cooldownUntil = Date.now() + (Number(msg.rateLimit.retryAfterMs) || 0);
+    if (msg.queued || msg.deadLettered) this._queueCounts.at = 0; // the counts just changed
+    const ref = msg.ref ? String(msg.ref) : '';
+    if (!this._pendingSends.has(ref)) return;
+    if (msg.ok && msg.messageId && !msg.action) {
+      this._lastSent = { messageId: String(msg.messageId), channelId: String(msg.channelId || ''), timestamp: msg.timestamp || Date.now() };
+    }
+    if (msg.ok && msg.threadId && (msg.action === 'createThread' || !msg.action)) this._lastThreadId = String(msg.threadId);
+    if (msg.queued) {
+      // still pending on the bridge; waiters get the code now, the final ack updates the status later
+      this.lastSendStatus = 'queued';
+      this.lastSendError = String(msg.error || '');
+      const pending = this._pendingSends.get(ref);
+      pending.waiters.splice(0).forEach(w => w(String(msg.error || 'queued')));
+      return;
+    }
+    if (msg.ok) this._settleSend(ref, msg.skipped ? 'skipped' : 'ok', '', msg.messageId ? String(msg.messageId) : 'ok');
+    else this._settleSend(ref, 'failed', String(msg.error || 'failed'));
+  }
+
+  _settleSend(ref, status, error, result) {
+    const pending = this._pendingSends.get(ref);
+    this._pendingSends.delete(ref);
+    this.lastSendStatus = status;
+    this.lastSendError = error;
+    if (pending) pending.waiters.forEach(w => w(result || error || status));
+  }
+
+  // resolves with the sent message id, or the error code
+  _waitForAck(ref, timeoutMs) {
+    const pending = ref ? this._pendingSends.get(ref) : null;
+    if (!pending) return Promise.resolve(this.lastSendError || this.lastSendStatus || 'failed');
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        const i = pending.waiters.indexOf(done);
+        if (i !== -1) pending.waiters.splice(i, 1);
+        if (this.lastSendStatus === 'pending') this.lastSendStatus = 'timeout';
+        resolve('timeout');
+      }, timeoutMs);
+      const done = result => { clearTimeout(timer); resolve(result); };
+      pending.waiters.push(done);
+    });
+  }
+
+  _failPendingSends(reason) {
+    this._pendingSends.forEach(p => p.waiters.forEach(w => w(reason)));
+    if (this._pendingSends.size && (this.lastSendStatus === 'pending' || this.lastSendStatus === 'queued')) {
+      this.lastSendStatus = reason;
+      this.lastSendError = reason;
+    }
+    this._pendingSends.clear();
+  }
+
+  // --- attachments ---
+  _bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+  }
+
+  _attachAsset(asset, baseName) {
+    if (!asset || !asset.data) return;
+    const ext = asset.dataFormat || 'bin';
+    this._pendingFiles.push({ name: baseName + '.' + ext, data: this._bytesToBase64(asset.data) });
+  }
+
+  attachCostume({ COSTUME }, util) {
+    const costumes = util.target.getCostumes();
+    const costume = costumes.find(c => c.name === String(COSTUME)) || costumes[util.target.currentCostume];
+    if (costume) this._attachAsset(costume.asset, costume.name);
+  }
+
+  attachSound({ SOUND }, util) {
+    const sounds = util.target.sprite ? util.target.sprite.sounds : [];
+    const sound = sounds.find(snd => snd.name === String(SOUND));
+    if (sound) this._attachAsset(sound.asset, sound.name);
+  }
+
+  attachStage() {
+    return new Promise(resolve => {
+      try {
+        Scratch.vm.renderer.requestSnapshot(dataUrl => {
+          this._pendingFiles.push({ name: 'stage.png', data: dataUrl });
+          resolve();
+        });
+      } catch (e) {
+        this._log('stage snapshot failed', e);
+        resolve();
+      }
+    });
+  }
+
+  attachData({ DATA, NAME }) {
+    const data = String(DATA || '');
+    if (!data) return;
+    this._pendingFiles.push({ name: String(NAME || 'file'), data });
+  }
+
+  clearAttachments() { this._pendingFiles = []; }
+  attachmentCount() { return this._pendingFiles.length; }
+
+  // Latest attachment as a new costume on this sprite. Discord's CDN doesn't allow cross-origin loads and its links
+  // expire, so the image comes through the bridge's GET /image (converted to PNG there).
+  async attachmentToCostume({ NAME }, util) {
+    this.lastCostumeError = '';
+    const m = this._lastMessage;
+    if (!m.messageId || !m.firstAttachmentUrl) { this.lastCostumeError = 'no attachment'; return; }
+    const query = { channelId: m.channelId, messageId: m.messageId, format: 'png' };
+    if (m.firstAttachmentId) query.attachmentId = m.firstAttachmentId;
+    try {
+      const url = new URL(this.url);
+      url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+      url.pathname = '/image';
+      url.search = new URLSearchParams(query).toString();
+      const res = await fetch(url, { headers: this.authKey ? { Authorization: 'Bearer ' + this.authKey } : {} });
+      if (!res.ok) {
+        let error = 'HTTP ' + res.status;
+        try { error = (await res.json()).error || error; } catch (e) { /* not JSON */ }
+        throw new Error(error);
+      }
+      // bitmap costumes are stored as PNG or JPEG; other images (GIF, WebP) are redrawn as PNG
+      const type = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      if (!type.startsWith('image/')) throw new Error('not-an-image');
+      let data = new Uint8Array(await res.arrayBuffer());
+      let ext = { 'image/png': 'png', 'image/jpeg': 'jpg' }[type];
+      if (!ext) { data = await this._toPng(data, type); ext = 'png'; }
+      const storage = Scratch.vm.runtime.storage;
+      const asset = storage.createAsset(storage.AssetType.ImageBitmap, ext === 'jpg' ? storage.DataFormat.JPG : storage.DataFormat.PNG, data, null, true);
+      const md5ext = asset.assetId + '.' + ext;
+      await Scratch.vm.addCostume(md5ext, { name: String(NAME || 'attachment'), asset, assetId: asset.assetId, md5: md5ext, dataFormat: ext }, util.target.id);
+    } catch (e) {
+      this.lastCostumeError = String(e && e.message ? e.message : e);
+      this._log('attachment costume failed', e);
+    }
+  }
+  costumeError() { return String(this.lastCostumeError || ''); }
+  // image bytes the browser can decode -> PNG bytes (the first frame of an animation)
+  async _toPng(data, type) {
+    let bitmap;
+    try { bitmap = await createImageBitmap(new Blob([data], { type })); } catch (e) { throw new Error('unsupported-image'); }
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('unsupported-image');
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+
+  // hands the pending attachments to one outgoing message
+  _takeFiles() {
+    const files = this._pendingFiles;
+    this._pendingFiles = [];
+    return files.length ? files : undefined;
+  }
+
+  // --- embed builder: blocks edit the newest embed, starting one if needed ---
+  _currentEmbed() {
+    if (!this._pendingEmbeds.length) this._pendingEmbeds.push({});
+    return this._pendingEmbeds[this._pendingEmbeds.length - 1];
+  }
+  startEmbed() {
+    if (this._pendingEmbeds.length >= 10) return; // Discord's limit per message
+    this._pendingEmbeds.push({});
+  }
+  setEmbedTitle({ TITLE }) { this._currentEmbed().title = String(TITLE || ''); }
+  setEmbedDescription({ TEXT }) { this._currentEmbed().description = String(TEXT || ''); }
+  setEmbedColor({ COLOR }) { this._currentEmbed().color = String(COLOR || ''); }
+  setEmbedImage({ URL }) { this._currentEmbed().image = String(URL || ''); }
+  addEmbedField({ NAME, VALUE, INLINE }) {
+    const embed = this._currentEmbed();
+    embed.fields = embed.fields || [];
+    embed.fields.push({ name: String(NAME || ''), value: String(VALUE || ''), inline: INLINE === 'inline' });
+  }
+  sendEmbeds({ CHANNEL, SERVER }) {
+    if (!this._pendingEmbeds.length) return;
+    this._sendTracked(this._sendMessagePayload('', CHANNEL, SERVER));
+  }
+  clearEmbeds() { this._pendingEmbeds = []; }
+  embedCount() { return this._pendingEmbeds.length; }
+
+  _takeEmbeds() {
+    const embeds = this._pendingEmbeds;
+    this._pendingEmbeds = [];
+    return embeds.length ? embeds : undefined;
+  }
+
+  canSend() { return this.connected && Date.now() >= this._cooldownUntil; }
+  sendCooldown() { return Math.max(0, Math.ceil((this._cooldownUntil - Date.now()) / 100) / 10); }
+
+  // sends of ours waiting in the bridge's queue / given up on (dead letters). Reads return the cached counts and
+  // ask the bridge again at most once a second, so a forever loop doesn't flood it with requests.
+  queuedSendCount() { this._refreshQueueCounts(); return this._queueCounts.queued; }
+  deadLetterCount() { this._refreshQueueCounts(); return this._queueCounts.failed; }
+  _refreshQueueCounts() {
+    const counts = this._queueCounts;
+    if (counts.pending || Date.now() - counts.at < 1000 || !this.connected) return;
+    counts.pending = true;
+    Promise.all([this._request({ type: 'listQueue' }), this._request({ type: 'listDeadLetters' })])
+      .then(([queue, dead]) => { counts.queued = Number(queue.length) || 0; counts.failed = Number(dead.length) || 0; })
+      .catch(e => this._log('queue counts failed', e))
+      .finally(() => { counts.pending = false; counts.at = Date.now(); });
+  }
+
+  // user / member lookups by id or name (from the bridge's guild cache); '' when not found or not allowed
+  _userQuery(USER) {
+    const user = String(USER || '').trim();
+    return /^\d{15,}$/.test(user) ? { userId: user } : { name: user };
+  }
+  async userAvatar({ USER }) {
+    const { userId, name } = this._userQuery(USER);
+    try { return String((await this._request({ type: 'getUser', userId, username: name })).user.avatarUrl || ''); } catch (e) { return ''; }
+  }
+  async _member(USER, SERVER) {
+    const guild = this._findGuild(SERVER);
+    if (!guild) return null;
+    try { return (await this._request({ type: 'getMember', guildId: guild.id, ...this._userQuery(USER) })).member; } catch (e) { return null; }
+  }
+  async memberNickname({ USER, SERVER }) {
+    const member = await this._member(USER, SERVER);
+    return member ? String(member.displayName || '') : '';
+  }
+  async memberRoles({ USER, SERVER }) {
+    const member = await this._member(USER, SERVER);
+    return member && Array.isArray(member.roles) ? member.roles.map(r => r.name).join(', ') : '';
+  }
+
+  lastSendStatusText() { return String(this.lastSendStatus || ''); }
+  lastSendErrorText() { return String(this.lastSendError || ''); }
+
+  _sendMessagePayload(CONTENT, CHANNEL, SERVER) {
+    const guild = this._findGuild(SERVER);
+    if (guild) this._selectedServer = guild.id;
     const guildId = guild ? guild.id : null;
-    const chObj = guildId ? (this.channels[guildId] || []).find(c => c.name === CHANNEL || c.id === CHANNEL) : null;
+    const chObj = this._findChannel(guild, CHANNEL);
     const channelId = chObj ? chObj.id : null;
-    const payload = {
+    return {
       type: 'sendMessage',
       guildId: guildId,
       guildName: SERVER,
       channelId: channelId,
       channelName: CHANNEL,
       content: String(CONTENT || ''),
-      ref: Date.now().toString()
+      files: this._takeFiles(),
+      embeds: this._takeEmbeds()
     };
-    try { this.ws.send(JSON.stringify(payload)); this._log('sendMessage payload', payload); } catch (e) { this._log('sendMessage failed', e); }
   }
 
+  sendMessage({ CONTENT, CHANNEL, SERVER }) {
+    this._sendTracked(this._sendMessagePayload(CONTENT, CHANNEL, SERVER));
+  }
+
+  sendAndWait({ CONTENT, CHANNEL, SERVER, TIMEOUT }) {
+    const ref = this._sendTracked(this._sendMessagePayload(CONTENT, CHANNEL, SERVER));
+    const seconds = Math.max(0.1, Math.min(120, Number(TIMEOUT) || 5));
+    return this._waitForAck(ref, seconds * 1000);
+  }
+
+  replyToMessage({ CONTENT, ID, CHANNELID, MENTION }) {
+    this._sendTracked({
+      type: 'sendMessage',
+      channelId: String(CHANNELID || ''),
+      content: String(CONTENT || ''),
+      replyTo: String(ID || ''),
+      mentionOnReply: MENTION !== 'silent',
+      files: this._takeFiles(),
+      embeds: this._takeEmbeds()
+    });
+  }
+  replyToLastMessage({ CONTENT, MENTION }) {
+    if (!this._lastMessage.messageId) return;
+    this.replyToMessage({ CONTENT, ID: this._lastMessage.messageId, CHANNELID: this._lastMessage.channelId, MENTION });
+  }
+  lastSentMessageId() { return String(this._lastSent.messageId || ''); }
+
   // getVersion and other reporters...
   getVersion() { return String(this.VERSION); }
 }
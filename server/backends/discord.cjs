@@ -0,0 +1,32 @@
+// backends/discord.cjs
+// Live backend: a discord.js-selfbot-v13 Client.
+//
+// A backend is anything shaped like the part of the discord.js Client the bridge uses:
+//   login(token) -> Promise, emits 'ready' once connected; destroy()
+//   user { id, username, tag }
+//   guilds.cache (Map + find) and guilds.fetch()
+//   channels.fetch(id) -> channel
+//   users.cache, users.fetch(id) -> user { id, username, globalName, displayAvatarURL({ format, size }), createDM() -> DM channel (guild null, recipient) }
+//   guild   { id, name, channels: { cache, fetch() }, roles: { cache }, members: { cache, fetch(id) } }
+//   member  { id, user, displayName, nickname, roles: { cache }, presence, joinedTimestamp, displayAvatarURL(options) }
+//   channel { id, name, type, guild, guildId, isText(), isThread(), send(options) -> message, messages: { cache, fetch(id | query) },
+//             threads: { cache, fetchActive(), create({ name, message }) } (text/forum channels) }
+//   thread  (a channel) + { parentId, archived, join(), setArchived(bool) }
+//   message { id, content, author, member, guild, channel, createdTimestamp, attachments, embeds, mentions, reference,
+//             edit(), delete(), react(), fetchReference(), startThread({ name }) }
+//   attachment { id, url, proxyURL (Discord's media proxy: width / height / format query), name, contentType }
+//   events: ready, shardDisconnect, shardResume, shardReady, invalidated, messageCreate, messageUpdate, messageDelete, messageReactionAdd, messageReactionRemove,
+//           guildCreate, guildDelete, guildUpdate, channelCreate, channelUpdate, channelDelete,
+//           threadCreate, threadUpdate, threadDelete
+// backends/mock.cjs implements the same surface in-process.
+'use strict';
+
+function createDiscordBackend() {
+  const { Client, Intents } = require('discord.js-selfbot-v13');
+  return new Client({
+    intents: [Intents.FLAGS.GUILDS, Intents.FLAGS.GUILD_MEMBERS, Intents.FLAGS.GUILD_PRESENCES, Intents.FLAGS.GUILD_MESSAGES, Intents.FLAGS.MESSAGE_CONTENT, Intents.FLAGS.GUILD_MESSAGE_REACTIONS, Intents.FLAGS.DIRECT_MESSAGES],
+    partials: ['MESSAGE', 'CHANNEL', 'REACTION']
+  });
+}
+
+module.exports = { createDiscordBackend };
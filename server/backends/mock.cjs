@@ -0,0 +1,502 @@
+// backends/mock.cjs
+// Offline, in-process stand-in for the discord.js Client (see backends/discord.cjs for the surface it mimics).
+// Used by the test suite and by `BRIDGE_BACKEND=mock npm start` for local development without an account.
+//
+//   const backend = createMockBackend({ guilds: [...], autoReady: false });
+//   backend.connect();                                  // emit 'ready'
+//   backend.disconnect() / backend.resume();            // connection lost / back -> 'shardDisconnect' / 'shardResume'
+//   backend.injectMessage({ channelId, content });      // someone else posts -> 'messageCreate'
+//   backend.sent                                        // everything the bridge sent: [{ channelId, content, options, message }]
+//   backend.injectDirectMessage({ author, content });   // someone DMs the account -> 'messageCreate' in a DM channel
+//   backend.failNextSend(new Error('Missing Access'));  // make the next channel.send() reject
+//                                                       // (an error with httpStatus 429/5xx counts as transient)
+//   backend.joinGuild({...}) / leaveGuild(id) / createChannel(guildId, {...}) / renameChannel(id, name) / deleteChannel(id)
+//                                                       // live cache changes -> guild*/channel* events
+//   backend.addThread(parentId, {...}) / createThread(parentId, {...}) // a thread, silently / with 'threadCreate'
+//   thread.setArchived(true) / thread.setName(name)     // -> 'threadUpdate'
+//   backend.addMember(guildId, user, { nickname, roles, status }) // a guild member (authors become members on first message)
+//
+// Messages the bridge sends are echoed back as 'messageCreate', like Discord does for your own messages.
+'use strict';
+
+const { EventEmitter } = require('events');
+
+// Map with the few discord.js Collection helpers the bridge calls
+class Collection extends Map {
+  find(fn) {
+    for (const [k, v] of this) if (fn(v, k, this)) return v;
+    return undefined;
+  }
+  filter(fn) {
+    const out = new Collection();
+    for (const [k, v] of this) if (fn(v, k, this)) out.set(k, v);
+    return out;
+  }
+  map(fn) { return Array.from(this, ([k, v]) => fn(v, k, this)); }
+}
+
+const DEFAULT_USER = { id: '900000000000000001', username: 'mockbot' };
+const DEFAULT_AUTHOR = { id: '900000000000000002', username: 'mockuser', bot: false };
+const DEFAULT_GUILDS = [
+  {
+    id: '100000000000000001',
+    name: 'Mock Server',
+    roles: [{ id: '300000000000000001', name: 'Moderators' }],
+    channels: [
+      { id: '200000000000000001', name: 'general' },
+      { id: '200000000000000002', name: 'random' },
+      { id: '200000000000000003', name: 'Voice', type: 'GUILD_VOICE' }
+    ]
+  }
+];
+
+let idCounter = 0n;
+// increasing snowflake-like ids, so sorting by id sorts by creation like Discord
+function nextId() {
+  idCounter += 1n;
+  return (BigInt(Date.now()) * 1000000n + idCounter).toString();
+}
+
+function compareIds(a, b) {
+  const x = BigInt(a), y = BigInt(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+class MockMessage {
+  constructor(client, channel, { id = nextId(), content = '', author = DEFAULT_AUTHOR, mentions = [], replyTo = null, attachments = [], embeds = [], createdTimestamp = Date.now(), webhookId = null } = {}) {
+    this.client = client;
+    this.id = String(id);
+    this.content = String(content);
+    this.author = client.users.cache.get(String(author.id)) || client._addUser(author);
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guild = channel.guild;
+    this.guildId = channel.guildId;
+    this.member = channel.guild ? channel.guild._member(this.author) : null;
+    this.createdTimestamp = createdTimestamp;
+    this.editedTimestamp = null;
+    this.webhookId = webhookId;
+    this.partial = false;
+    this.embeds = embeds;
+    this.reference = replyTo ? { messageId: String(replyTo), channelId: channel.id, guildId: channel.guildId } : null;
+    this.attachments = new Collection();
+    attachments.forEach(a => {
+      const aid = nextId();
+      const url = a.url || `https://mock.discord/attachments/${channel.id}/${aid}/${a.name || 'file'}`;
+      this.attachments.set(aid, { id: aid, url, proxyURL: a.proxyURL || url, name: a.name || 'file', contentType: a.contentType || null, size: a.size || 0 });
+    });
+    // mentions: explicit ids plus any <@id> in the content
+    const mentioned = new Set(mentions.map(String));
+    for (const match of this.content.matchAll(/<@!?(\d+)>/g)) mentioned.add(match[1]);
+    this.mentions = { users: new Collection() };
+    mentioned.forEach(uid => {
+      const u = client.users.cache.get(uid) || (client.user && client.user.id === uid ? client.user : null);
+      if (u) this.mentions.users.set(uid, u);
+    });
+    this.reactions = new Collection(); // emoji -> reaction
+  }
+
+  async fetch() { return this; }
+
+  // threads started from a message share its id, like on Discord
+  async startThread({ name = 'thread' } = {}) {
+    return this.client.createThread(this.channel.id, { id: this.id, name });
+  }
+
+  async fetchReference() {
+    if (!this.reference) throw new Error('Message has no reference');
+    const ref = this.channel.messages.cache.get(this.reference.messageId);
+    if (!ref) throw new Error('Unknown Message');
+    return ref;
+  }
+
+  async edit(content) {
+    const old = Object.assign(Object.create(MockMessage.prototype), this);
+    this.content = String(typeof content === 'object' && content ? content.content || '' : content);
+    this.editedTimestamp = Date.now();
+    this.client.emit('messageUpdate', old, this);
+    return this;
+  }
+
+  async delete() {
+    this.channel.messages.cache.delete(this.id);
+    this.client.emit('messageDelete', this);
+    return this;
+  }
+
+  async react(emoji) {
+    return this.client._react(this, String(emoji), this.client.user, 'add');
+  }
+}
+
+class MockChannel {
+  constructor(client, guild, { id = nextId(), name = 'channel', type = 'GUILD_TEXT' } = {}) {
+    this.client = client;
+    this.id = String(id);
+    this.name = name;
+    this.type = type;
+    this.guild = guild;
+    this.guildId = guild ? guild.id : null;
+    const channel = this;
+    if (['GUILD_TEXT', 'GUILD_NEWS', 'GUILD_FORUM'].includes(type)) {
+      this.threads = {
+        cache: new Collection(),
+        fetchActive: async () => ({ threads: channel.threads.cache.filter(t => !t.archived), hasMore: false }),
+        // forum post: a thread plus its starter message (same id), echoed back like any send
+        async create({ name = 'post', message = {} } = {}) {
+          const failure = client._sendFailures.shift();
+          if (failure) throw failure;
+          const thread = client.createThread(channel.id, { name });
+          const starter = thread._addMessage({
+            id: thread.id,
+            content: message.content || '',
+            author: client.user,
+            attachments: (message.files || []).map(f => ({ name: f.name, size: f.attachment ? f.attachment.length : 0 }))
+          });
+          client.sent.push({ channelId: thread.id, content: starter.content, options: message, message: starter });
+          setImmediate(() => client.emit('messageCreate', starter));
+          return thread;
+        }
+      };
+    }
+    this.messages = {
+      cache: new Collection(),
+      // fetch(id) -> message; fetch({ limit, before, after }) -> Collection, newest first
+      async fetch(query) {
+        if (typeof query === 'string') {
+          const m = channel.messages.cache.get(query);
+          if (!m) throw new Error('Unknown Message');
+          return m;
+        }
+        const { limit = 50, before, after } = query || {};
+        let list = Array.from(channel.messages.cache.values()).sort((a, b) => compareIds(b.id, a.id));
+        if (before) list = list.filter(m => compareIds(m.id, before) < 0);
+        if (after) list = list.filter(m => compareIds(m.id, after) > 0).reverse().slice(0, limit).reverse();
+        return new Collection(list.slice(0, limit).map(m => [m.id, m]));
+      }
+    };
+  }
+
+  isText() { return !['GUILD_VOICE', 'GUILD_STAGE_VOICE', 'GUILD_CATEGORY', 'GUILD_FORUM'].includes(this.type); }
+  isThread() { return false; }
+
+  async send(options) {
+    if (!this.isText()) throw new Error('Cannot send messages to this channel');
+    const opts = typeof options === 'string' ? { content: options } : (options || {});
+    const failure = this.client._sendFailures.shift();
+    if (failure) throw failure;
+    const message = this._addMessage({
+      content: opts.content || '',
+      author: this.client.user,
+      replyTo: opts.reply ? opts.reply.messageReference : null,
+      attachments: (opts.files || []).map(f => ({ name: f.name, size: f.attachment ? f.attachment.length : 0 })),
+      embeds: opts.embeds || []
+    });
+    this.client.sent.push({ channelId: this.id, content: message.content, options: opts, message });
+    setImmediate(() => this.client.emit('messageCreate', message));
+    return message;
+  }
+
+  _addMessage(fields) {
+    const message = new MockMessage(this.client, this, fields);
+    this.messages.cache.set(message.id, message);
+    return message;
+  }
+}
+
+// Thread under a text or forum channel; also listed in guild.channels.cache like discord.js v13
+class MockThreadChannel extends MockChannel {
+  constructor(client, parent, { id = nextId(), name = 'thread', archived = false } = {}) {
+    super(client, parent.guild, { id, name, type: 'GUILD_PUBLIC_THREAD' });
+    this.parent = parent;
+    this.parentId = parent.id;
+    this.archived = archived;
+    this.joined = false;
+    this.createdTimestamp = Date.now();
+  }
+
+  isThread() { return true; }
+
+  async send(options) {
+    if (this.archived) throw new Error('Thread is archived');
+    return super.send(options);
+  }
+
+  async join() { this.joined = true; return this; }
+
+  async setArchived(archived = true) { return this._update({ archived: !!archived }); }
+
+  async setName(name) { return this._update({ name: String(name) }); }
+
+  _update(fields) {
+    const old = Object.assign(Object.create(MockThreadChannel.prototype), this);
+    Object.assign(this, fields);
+    this.client.emit('threadUpdate', old, this);
+    return this;
+  }
+}
+
+// DM channel with one user; guild is null like in discord.js
+class MockDMChannel extends MockChannel {
+  constructor(client, recipient) {
+    super(client, null, { name: recipient.username, type: 'DM' });
+    this.recipient = recipient;
+  }
+}
+
+class MockGuild {
+  constructor(client, { id = nextId(), name = 'guild', roles = [] } = {}) {
+    this.client = client;
+    this.id = String(id);
+    this.name = name;
+    this.roles = { cache: new Collection(roles.map((r, i) => [String(r.id), { id: String(r.id), name: r.name, position: r.position ?? roles.length - i }])) };
+    this.channels = {
+      cache: new Collection(),
+      fetch: async () => this.channels.cache
+    };
+    this.members = {
+      cache: new Collection(),
+      fetch: async id => {
+        const m = this.members.cache.get(String(id));
+        if (!m) throw new Error('Unknown Member');
+        return m;
+      }
+    };
+  }
+
+  // get-or-create the member for a user, like the member data Discord sends with guild messages
+  _member(user, fields) {
+    let member = this.members.cache.get(user.id);
+    if (!member) {
+      member = new MockMember(this, user);
+      this.members.cache.set(user.id, member);
+    }
+    if (fields) member._set(fields);
+    return member;
+  }
+}
+
+class MockMember {
+  constructor(guild, user) {
+    this.guild = guild;
+    this.id = user.id;
+    this.user = user;
+    this.nickname = null;
+    this.avatar = null;
+    this.presence = null;
+    this.joinedTimestamp = Date.now();
+    this.roles = { cache: new Collection([[guild.id, { id: guild.id, name: '@everyone', position: 0 }]]) };
+  }
+
+  get displayName() { return this.nickname || this.user.globalName || this.user.username; }
+
+  // guild avatar if set, else the user's
+  displayAvatarURL(options) {
+    return this.avatar ? avatarURL(`guilds/${this.guild.id}/users/${this.id}`, this.avatar, options) : this.user.displayAvatarURL(options);
+  }
+
+  _set({ nickname, roles, status, avatar }) {
+    if (nickname !== undefined) this.nickname = nickname;
+    if (avatar !== undefined) this.avatar = avatar;
+    if (status !== undefined) this.presence = status ? { status } : null;
+    if (roles) {
+      for (const id of this.roles.cache.keys()) if (id !== this.guild.id) this.roles.cache.delete(id);
+      roles.forEach(id => {
+        const role = this.guild.roles.cache.get(String(id));
+        if (!role) throw new Error('Unknown Role');
+        this.roles.cache.set(role.id, role);
+      });
+    }
+  }
+}
+
+// CDN-style avatar urls; users without an avatar get one of the default ones
+function avatarURL(path, hash, { format = 'webp', size = 128 } = {}) {
+  return `https://mock.discord/avatars/${path}/${hash}.${format}?size=${size}`;
+}
+
+function defaultAvatarURL(userId) {
+  return `https://mock.discord/embed/avatars/${Number(BigInt(userId) % 5n)}.png`;
+}
+
+class MockBackend extends EventEmitter {
+  constructor({ user = DEFAULT_USER, guilds = DEFAULT_GUILDS, autoReady = true } = {}) {
+    super();
+    this.autoReady = autoReady;
+    this.user = { ...user, bot: false, tag: user.username, displayAvatarURL: () => defaultAvatarURL(user.id) };
+    this.users = {
+      cache: new Collection([[this.user.id, this.user]]),
+      fetch: async id => {
+        const u = this.users.cache.get(String(id));
+        if (!u) throw new Error('Unknown User');
+        return u;
+      }
+    };
+    this.guilds = { cache: new Collection(), fetch: async () => this.guilds.cache };
+    this.channels = {
+      cache: new Collection(),
+      fetch: async id => {
+        const ch = this.channels.cache.get(String(id));
+        if (!ch) throw new Error('Unknown Channel');
+        return ch;
+      }
+    };
+    this.sent = [];
+    this.loggedIn = false;
+    this._sendFailures = [];
+    this._addUser(DEFAULT_AUTHOR);
+    guilds.forEach(g => this.addGuild(g));
+  }
+
+  // --- discord.js surface ---
+  async login() {
+    this.loggedIn = true;
+    if (this.autoReady) setImmediate(() => this.connect());
+    return 'mock-token';
+  }
+
+  async destroy() { this.loggedIn = false; }
+
+  // --- test/dev controls ---
+  connect() { this.emit('ready', this); }
+  disconnect() { this.emit('shardDisconnect', { code: 1006 }, 0); }
+  resume() { this.emit('shardResume', 0, 0); }
+
+  addGuild({ id, name, roles, channels = [] }) {
+    const guild = new MockGuild(this, { id, name, roles });
+    this.guilds.cache.set(guild.id, guild);
+    channels.forEach(c => this.addChannel(guild.id, c));
+    return guild;
+  }
+
+  addChannel(guildId, fields) {
+    const guild = this.guilds.cache.get(String(guildId));
+    if (!guild) throw new Error('Unknown Guild');
+    const channel = new MockChannel(this, guild, fields);
+    guild.channels.cache.set(channel.id, channel);
+    this.channels.cache.set(channel.id, channel);
+    return channel;
+  }
+
+  addThread(parentId, fields) {
+    const parent = this.channels.cache.get(String(parentId));
+    if (!parent || !parent.threads) throw new Error('Unknown Channel');
+    const thread = new MockThreadChannel(this, parent, fields);
+    parent.threads.cache.set(thread.id, thread);
+    parent.guild.channels.cache.set(thread.id, thread);
+    this.channels.cache.set(thread.id, thread);
+    return thread;
+  }
+
+  createThread(parentId, fields) {
+    const thread = this.addThread(parentId, fields);
+    this.emit('threadCreate', thread, true);
+    return thread;
+  }
+
+  // someone else posts in a channel; resolves once 'messageCreate' has been emitted
+  injectMessage({ channelId, ...fields }) {
+    const channel = this.channels.cache.get(String(channelId));
+    if (!channel) throw new Error('Unknown Channel');
+    const message = channel._addMessage(fields);
+    this.emit('messageCreate', message);
+    return message;
+  }
+
+  // someone DMs the account (opening the DM channel if needed)
+  injectDirectMessage({ author = DEFAULT_AUTHOR, ...fields }) {
+    const user = this.users.cache.get(String(author.id)) || this._addUser(author);
+    const message = this._dmChannel(user)._addMessage({ ...fields, author: user });
+    this.emit('messageCreate', message);
+    return message;
+  }
+
+  // someone else reacts to a message
+  injectReaction({ channelId, messageId, emoji, user = DEFAULT_AUTHOR, remove = false }) {
+    const channel = this.channels.cache.get(String(channelId));
+    const message = channel && channel.messages.cache.get(String(messageId));
+    if (!message) throw new Error('Unknown Message');
+    return this._react(message, emoji, this.users.cache.get(String(user.id)) || this._addUser(user), remove ? 'remove' : 'add');
+  }
+
+  // like addGuild/addChannel, but announced with the events Discord sends at runtime
+  joinGuild(fields) {
+    const guild = this.addGuild(fields);
+    this.emit('guildCreate', guild);
+    return guild;
+  }
+
+  leaveGuild(guildId) {
+    const guild = this.guilds.cache.get(String(guildId));
+    if (!guild) throw new Error('Unknown Guild');
+    this.guilds.cache.delete(guild.id);
+    guild.channels.cache.forEach(ch => this.channels.cache.delete(ch.id));
+    this.emit('guildDelete', guild);
+  }
+
+  createChannel(guildId, fields) {
+    const channel = this.addChannel(guildId, fields);
+    this.emit('channelCreate', channel);
+    return channel;
+  }
+
+  renameChannel(channelId, name) {
+    const channel = this.channels.cache.get(String(channelId));
+    if (!channel) throw new Error('Unknown Channel');
+    const old = Object.assign(Object.create(MockChannel.prototype), channel);
+    channel.name = name;
+    this.emit('channelUpdate', old, channel);
+    return channel;
+  }
+
+  deleteChannel(channelId) {
+    const channel = this.channels.cache.get(String(channelId));
+    if (!channel) throw new Error('Unknown Channel');
+    this.channels.cache.delete(channel.id);
+    channel.guild.channels.cache.delete(channel.id);
+    this.emit('channelDelete', channel);
+  }
+
+  addMember(guildId, user, fields = {}) {
+    const guild = this.guilds.cache.get(String(guildId));
+    if (!guild) throw new Error('Unknown Guild');
+    return guild._member(this.users.cache.get(String(user.id)) || this._addUser(user), fields);
+  }
+
+  failNextSend(error) { this._sendFailures.push(error instanceof Error ? error : new Error(String(error))); }
+
+  _addUser({ id, username, bot = false, globalName = null, avatar = null }) {
+    const u = {
+      id: String(id), username, bot, globalName, avatar, tag: username,
+      displayAvatarURL: options => avatar ? avatarURL(`users/${u.id}`, avatar, options) : defaultAvatarURL(u.id),
+      createDM: async () => this._dmChannel(u)
+    };
+    this.users.cache.set(u.id, u);
+    return u;
+  }
+
+  _dmChannel(user) {
+    let channel = this.channels.cache.find(ch => ch.type === 'DM' && ch.recipient.id === user.id);
+    if (!channel) {
+      channel = new MockDMChannel(this, user);
+      this.channels.cache.set(channel.id, channel);
+    }
+    return channel;
+  }
+
+  _react(message, emoji, user, change) {
+    const key = String(emoji);
+    const reaction = message.reactions.get(key);
+    const r = reaction || { emoji: { id: null, name: key }, count: 0, message, partial: false, fetch: async () => r };
+    r.count = Math.max(0, r.count + (change === 'add' ? 1 : -1));
+    if (r.count > 0) message.reactions.set(key, r); else message.reactions.delete(key);
+    this.emit(change === 'add' ? 'messageReactionAdd' : 'messageReactionRemove', r, user);
+    return r;
+  }
+}
+
+function createMockBackend(options) {
+  return new MockBackend(options);
+}
+
+module.exports = { createMockBackend, MockBackend, Collection, DEFAULT_GUILDS, DEFAULT_AUTHOR };
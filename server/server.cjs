@@ -1,124 +1,775 @@
 // server.cjs
 // Robust Discord <-> TurboWarp bridge (CommonJS)
 // Features:
-//  - never auto-refresh cache after initial startup (unless you delete cache.json or call refreshServers manually)
-//  - text-channel filtering (no VCs/categories)
-//  - idempotent sends via ref (persisted processedRefs)
+//  - never rebuild the whole cache after initial startup (unless you delete cache.json or call refreshServers manually);
+//    guild/channel create/rename/delete events patch it in place and are pushed as small diffs
+//  - text-channel filtering (no VCs/categories); forums flagged, active threads nested under their parent channel
+//  - idempotent sends via ref (persisted processedRefs, expiring after REF_TTL_MS / beyond MAX_PROCESSED_REFS)
+//  - versioned state files (cache.json = servers, queue.json, refs.json) saved independently; corrupt files quarantined
 //  - queue only when Discord is NOT connected
-//  - guarded queue processing with retries/backoff
+//  - guarded queue processing; transient send failures are retried through the queue with backoff,
+//    permanent ones and exhausted retries go to a persisted dead-letter list (listQueue, listDeadLetters,
+//    retryDeadLetter, cancelQueued, purgeQueue)
 //  - message events include displayText, attachments, timestamp, fromSelf
+//  - displayText renders <@user>, <@&role>, <#channel>, custom emoji and <t:...> timestamps; plainText also strips markdown
 //  - ping events include who/channel/server/timestamp
 //  - WebSocket heartbeat (hb/hb_ack) and stale-socket cleanup
+//  - hello/auth handshake with per-key scopes (read/send/admin) and guild/channel allow-lists
+//  - per-socket subscribe/unsubscribe filters for routed events (message, ping)
+//  - prefix commands: sockets register a name + argument schema and get typed `command` events; bad input gets a usage reply
+//  - events carry a sequence number; a client reconnecting with its session and last seq in the URL gets what it missed (or `resumeFailed`)
+//  - paginated channel history (fetchHistory) in the live message payload shape
+//  - user/member lookups (getUser, getMember, listMembers); message authors carry display name, avatar URL and role names
+//  - optional JSONL message archive (BRIDGE_ARCHIVE=on) with per-guild/channel retention; searchMessages pages through it
+//  - edit/delete/reaction events forwarded; editMessage/deleteMessage/addReaction requests (ref + ack)
+//  - replies (sendMessage.replyTo) with the sent message's id in the ack; incoming replies carry replyTo info
+//  - acks/errors go only to the socket that made the request (queued sends remember their socket)
+//  - threads: messages tagged with threadId/parentId; createThread, createForumPost, joinThread, archiveThread
+//  - direct messages: incoming `dm` events, sendDirectMessage by user id or recent-contact name, `dm` scope / BRIDGE_DMS=off
+//  - token-bucket rate limits per socket, per channel and global; excess sends queued or rejected (RATE_LIMIT_MODE)
+//  - file uploads on sendMessage (base64 / data: URLs) with per-file and total size limits
+//  - embeds: full structure forwarded on messages; sendMessage.embeds checked against Discord's limits
+//  - HTTP API on the same port: GET /health, /servers, /queue; POST /messages, /refresh (same keys as the socket side)
+//  - image proxy (GET /image): attachments and avatars, resized / converted to PNG by Discord's media proxy, cached on disk
+//  - metrics (getStats request, Prometheus text on GET /metrics) and JSON-line logs with LOG_LEVEL
+//  - pluggable backend (backends/discord.cjs or the offline backends/mock.cjs via BRIDGE_BACKEND=mock)
 //
 // Requirements:
 //   npm install discord.js-selfbot-v13 ws dotenv
+//
+// Run directly (`npm start`) or require() it and call start({ backend }) — that's what the tests do.
 'use strict';
 require('dotenv').config();
 
 const fs = require('fs');
+const crypto = require('crypto');
+const http = require('http');
 const path = require('path');
 const WebSocket = require('ws');
-const { Client, Intents } = require('discord.js-selfbot-v13');
 
 const PORT = Number(process.env.PORT || 3001);
 const TOKEN = process.env.DISCORD_TOKEN || process.env.TOKEN;
-const CACHE_FILE = path.join(__dirname, 'cache.json');
-
-if (!TOKEN) {
-  console.error('[bridge] ERROR: DISCORD_TOKEN (or TOKEN) not set. Exiting.');
-  process.exit(1);
-}
+const BACKEND = process.env.BRIDGE_BACKEND || 'discord';
+const DATA_DIR = process.env.BRIDGE_DATA_DIR || __dirname;
+const CACHE_FILE = path.join(DATA_DIR, 'cache.json');
+const QUEUE_FILE = path.join(DATA_DIR, 'queue.json');
+const REFS_FILE = path.join(DATA_DIR, 'refs.json');
+const DEAD_LETTERS_FILE = path.join(DATA_DIR, 'dead-letters.json');
+const SHARED_SECRET = process.env.BRIDGE_SECRET || '';
+const KEYS_FILE = process.env.BRIDGE_KEYS_FILE || path.join(__dirname, 'keys.json');
+const DMS_ENABLED = process.env.BRIDGE_DMS !== 'off';
+const DISPLAY_LOCALE = process.env.DISPLAY_LOCALE || 'en-US';
+const DISPLAY_TIMEZONE = process.env.DISPLAY_TIMEZONE || undefined; // default: the server's own
+const FETCH_ACTIVE_THREADS = process.env.FETCH_ACTIVE_THREADS !== 'off'; // one extra request per channel on cache builds
 
 // Config
 const SAVE_DEBOUNCE_MS = 800;
+const SCHEMA_VERSION = 2;
+const REF_TTL_MS = Number(process.env.REF_TTL_MS || 7 * 24 * 60 * 60 * 1000);
+const MAX_PROCESSED_REFS = Number(process.env.MAX_PROCESSED_REFS || 10_000);
 const HEARTBEAT_INTERVAL_MS = 20_000;
 const HEARTBEAT_STALE_MS = 60_000;
 const DEDUPE_WINDOW_MS = 1500;
-const MAX_SEND_RETRIES = 5;
-const BASE_BACKOFF_MS = 400;
+const MAX_SEND_RETRIES = Number(process.env.MAX_SEND_RETRIES || 5);
+const BASE_BACKOFF_MS = Number(process.env.SEND_BACKOFF_MS || 400);
+const MAX_DEAD_LETTERS = Number(process.env.MAX_DEAD_LETTERS || 500);
+// network-level failures worth retrying (HTTP 429 and 5xx are checked separately)
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+const AUTH_TIMEOUT_MS = 10_000;
+const HTTP_ENABLED = process.env.BRIDGE_HTTP !== 'off';
+const HTTP_CORS_ORIGIN = process.env.HTTP_CORS_ORIGIN || '*';
+// Rate limits: burst size and refill rate (tokens per second) for each bucket
+const RATE_LIMITS = {
+  socket: { burst: Number(process.env.RATE_SOCKET_BURST || 5), perSec: Number(process.env.RATE_SOCKET_PER_SEC || 1) },
+  channel: { burst: Number(process.env.RATE_CHANNEL_BURST || 5), perSec: Number(process.env.RATE_CHANNEL_PER_SEC || 1) },
+  global: { burst: Number(process.env.RATE_GLOBAL_BURST || 10), perSec: Number(process.env.RATE_GLOBAL_PER_SEC || 5) }
+};
+const RATE_LIMIT_MODE = process.env.RATE_LIMIT_MODE === 'reject' ? 'reject' : 'queue';
+const MAX_QUEUE_LENGTH = Number(process.env.MAX_QUEUE_LENGTH || 500);
+const ALL_SCOPES = ['read', 'send', 'admin', 'dm'];
+const SEND_REQUESTS = ['sendMessage', 'sendDirectMessage', 'createForumPost'];
+const ROUTED_EVENTS = ['message', 'ping', 'dm', 'messageUpdate', 'messageDelete', 'reactionAdd', 'reactionRemove'];
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_COMMANDS = 50;        // per socket
+const MAX_COMMAND_ARGS = 10;
+const COMMAND_ARG_TYPES = ['user', 'channel', 'number', 'rest'];
+const EVENT_BUFFER_SIZE = Number(process.env.EVENT_BUFFER_SIZE || 1000); // events kept for resume
+const SESSION_KEEP_MS = Number(process.env.SESSION_KEEP_MS || 5 * 60_000); // how long a closed socket's session can be resumed
+const MAX_RECENT_CONTACTS = 50;
+// incremental cache updates (guildAdded carries a full guild like serverPartial)
+const CACHE_DIFFS = ['guildRemoved', 'guildRenamed', 'channelAdded', 'channelRenamed', 'channelRemoved', 'threadAdded', 'threadRenamed', 'threadRemoved'];
+const HISTORY_PAGE_MAX = 100; // Discord's per-request cap
+// Message archive (off unless BRIDGE_ARCHIVE=on): one JSONL file per channel under DATA_DIR/archive
+const ARCHIVE_ENABLED = process.env.BRIDGE_ARCHIVE === 'on';
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+const ARCHIVE_MAX_MESSAGES = Number(process.env.ARCHIVE_MAX_MESSAGES || 10_000); // per channel
+const ARCHIVE_MAX_AGE_DAYS = Number(process.env.ARCHIVE_MAX_AGE_DAYS || 0);      // 0 = no age limit
+const SEARCH_PAGE_MAX = 100;
+const MEMBERS_PAGE_MAX = 100;
+const AVATAR_SIZE = 256;
+// Image proxy (GET /image): attachments and avatars fetched from Discord and cached under DATA_DIR/images
+const IMAGE_CACHE_DIR = path.join(DATA_DIR, 'images');
+const IMAGE_CACHE_MAX_BYTES = Number(process.env.IMAGE_CACHE_MAX_BYTES || 100 * 1024 * 1024);
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES || 10 * 1024 * 1024); // per image
+const IMAGE_FETCH_TIMEOUT_MS = 15_000;
+const IMAGE_MAX_SIZE = 4096; // px, Discord's largest
+const IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp' };
+const REPLY_EXCERPT_LEN = 100;
+const REPLY_FETCH_TIMEOUT_MS = 3000; // how long a reply waits for the message it answers (later events wait behind it)
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES || 8 * 1024 * 1024);         // per file
+const MAX_UPLOAD_TOTAL_BYTES = Number(process.env.MAX_UPLOAD_TOTAL_BYTES || 25 * 1024 * 1024); // per message
+const MAX_UPLOAD_FILES = 10;
+// Discord's embed limits (characters, except the counts)
+const EMBED_LIMITS = { embeds: 10, title: 256, description: 4096, fields: 25, fieldName: 256, fieldValue: 1024, footer: 2048, author: 256, total: 6000 };
+
+// Logging: one JSON object per line ({ ts, level, msg, ...fields }); warnings and errors go to stderr.
+// LOG_LEVEL = error | warn | info (default) | debug
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_LEVEL = Object.prototype.hasOwnProperty.call(LOG_LEVELS, process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] > LOG_LEVELS[LOG_LEVEL]) return;
+  const core = { ts: new Date().toISOString(), level, msg };
+  // core keys lead the line and can't be overwritten by a field of the same name
+  const line = JSON.stringify({ ...core, ...fields, ...core }) + '\n';
+  (LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+const logger = {
+  error: (msg, fields) => writeLog('error', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  debug: (msg, fields) => writeLog('debug', msg, fields)
+};
 
-function log(...args) { console.log('[bridge]', ...args); }
+function errText(e) { return e && e.message ? e.message : String(e); }
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-// Defensive global error logging (don't crash on unexpected promise rejections)
-process.on('uncaughtException', (err) => {
-  console.error('[bridge] uncaughtException', err && (err.stack || err));
-});
-process.on('unhandledRejection', (err) => {
-  console.error('[bridge] unhandledRejection', err && (err.stack || err));
-});
+// Authentication: BRIDGE_SECRET grants every scope; keys.json holds per-client keys:
+//   { "keys": { "<key>": { "name": "classroom", "scopes": ["read","send"], "guilds": ["<id>"], "channels": ["<id>"] } } }
+// guilds/channels are optional allow-lists. With neither configured the bridge runs open.
+// A file that can't be read throws; start() refuses to run with it (see keysError).
+function loadKeys() {
+  const keys = new Map();
+  try {
+    if (!fs.existsSync(KEYS_FILE)) return keys;
+    const parsed = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+    const entries = parsed && parsed.keys && typeof parsed.keys === 'object' ? parsed.keys : {};
+    for (const [key, cfg] of Object.entries(entries)) {
+      if (!key) continue;
+      keys.set(key, makeAuth(cfg && cfg.name ? String(cfg.name) : key.slice(0, 6), cfg || {}));
+    }
+    logger.info('client keys loaded', { count: keys.size, file: KEYS_FILE });
+  } catch (e) {
+    throw new Error('failed to read keys file ' + KEYS_FILE + ': ' + errText(e));
+  }
+  return keys;
+}
+
+function makeAuth(id, { scopes = ALL_SCOPES, guilds = null, channels = null } = {}) {
+  return {
+    id,
+    scopes: new Set((Array.isArray(scopes) ? scopes : [scopes]).filter(sc => ALL_SCOPES.includes(sc))),
+    guilds: Array.isArray(guilds) && guilds.length ? new Set(guilds.map(String)) : null,
+    channels: Array.isArray(channels) && channels.length ? new Set(channels.map(String)) : null
+  };
+}
+
+// a broken keys file still means auth was wanted: no one gets in, and start() rejects with the error
+let keysError = null;
+const clientKeys = (() => {
+  try { return loadKeys(); } catch (e) { keysError = e; return new Map(); }
+})();
+const authRequired = !!SHARED_SECRET || clientKeys.size > 0 || !!keysError;
+const OPEN_AUTH = makeAuth('open');
+if (!authRequired) logger.warn('no BRIDGE_SECRET or keys.json configured — any client can connect with full access');
+
+function secretEquals(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function authenticate(key) {
+  if (!authRequired) return OPEN_AUTH;
+  if (!key) return null;
+  if (SHARED_SECRET && secretEquals(key, SHARED_SECRET)) return makeAuth('shared');
+  for (const [k, auth] of clientKeys) {
+    if (secretEquals(key, k)) return auth;
+  }
+  return null;
+}
+
+function authForId(id) {
+  if (!id) return authRequired ? null : OPEN_AUTH;
+  if (id === 'open') return authRequired ? null : OPEN_AUTH;
+  if (id === 'shared') return SHARED_SECRET ? makeAuth('shared') : null;
+  for (const auth of clientKeys.values()) if (auth.id === id) return auth;
+  return null;
+}
+
+function hasScope(auth, scope) { return !!(auth && auth.scopes.has(scope)); }
+
+// threads are allowed when either the thread or its parent channel is on the allow-list
+function canAccess(auth, guildId, channelId, parentId = null) {
+  if (!auth) return false;
+  if (auth.guilds && !auth.guilds.has(String(guildId))) return false;
+  if (auth.channels && !auth.channels.has(String(channelId)) && !(parentId && auth.channels.has(String(parentId)))) return false;
+  return true;
+}
+
+// DMs need the `dm` scope and can be switched off for the whole bridge
+function canUseDms(auth) { return DMS_ENABLED && hasScope(auth, 'dm'); }
+
+// guild channels go through the allow-lists; DM channels (no guild) through canUseDms
+function canAccessChannel(auth, ch) {
+  const guildId = ch.guildId || (ch.guild && ch.guild.id);
+  if (!guildId) return canUseDms(auth);
+  return canAccess(auth, guildId, ch.id, isThreadChannel(ch) ? ch.parentId : null);
+}
+
+// canAccessChannel by id, from the server list and recent DM contacts only (no Discord call), so a key limited to
+// some guilds/channels can be turned away before anything reveals whether the channel exists
+function canAccessKnownChannel(auth, channelId) {
+  if (!auth.guilds && auth.channels && auth.channels.has(channelId)) return true;
+  for (const g of state.servers) {
+    for (const c of g.channels || []) {
+      if (c.id === channelId) return canAccess(auth, g.id, c.id);
+      if ((c.threads || []).some(t => t.id === channelId)) return canAccess(auth, g.id, channelId, c.id);
+    }
+  }
+  return Array.from(recentContacts.values()).some(c => c.channelId === channelId) && canUseDms(auth);
+}
+
+// server list trimmed to what a key may see
+function serversFor(auth) {
+  if (!auth.guilds && !auth.channels) return state.servers;
+  return state.servers
+    .filter(g => !auth.guilds || auth.guilds.has(String(g.id)))
+    .map(g => ({ ...g, channels: (g.channels || []).filter(c => canAccess(auth, g.id, c.id)) }));
+}
 
-// Discord client
-const client = new Client({
-  intents: [Intents.FLAGS.GUILDS, Intents.FLAGS.GUILD_MESSAGES, Intents.FLAGS.MESSAGE_CONTENT]
-});
+// Discord backend (a discord.js Client or anything shaped like one — see backends/mock.cjs); set by start()
+let client = null;
+let httpServer = null;
+let wss = null;
+let startedAt = 0;
+let heartbeatTimer = null;
 
 // Runtime state
 const state = {
-  discordConnected: false,    // true when client.on('ready') fires
+  discordConnected: false,    // true from client.on('ready') until the connection drops
+  discordStatus: 'starting',  // starting | connected | disconnected | login-failed (what /health reports)
   cacheReady: false,          // true when the persisted/in-memory cache is available
   servers: [],                // [{ id, name, channels: [{id,name}] }]
-  queue: [],                  // queued sends only when discord NOT connected: [{ req: msg, tries, queuedAt }]
-  processedRefs: new Set()    // refs that were successfully sent (persisted)
+  queue: [],                  // queued sends (not connected, rate-limited or retrying): [{ req: msg, tries, queuedAt, keyId, retryAt? }]
+  deadLetters: [],            // sends that failed for good: [{ req: msg, tries, queuedAt, keyId, failedAt, error, reason }]
+  processedRefs: new Map()    // ref -> time it was successfully sent (persisted, expiring)
 };
 
 let sockets = [];
+// Event sequence numbers restart with each process; the epoch tells a resuming client which run it saw
+let eventSeq = 0;
+let eventEpoch = null;
+const recentEvents = []; // the last EVENT_BUFFER_SIZE events (broadcasts and per-session ones), oldest first
+// A session holds a client's commands and subscriptions and outlives its socket for SESSION_KEEP_MS, so a client
+// that reconnects with its session id keeps them and gets the replies and command events it missed
+const sessions = new Map(); // id -> { id, socket (latest), commands, subscriptions, closedAt (null while connected) }
+const EVENT_SESSION = Symbol('session'); // marks a buffered event as for one session only (never serialized)
+// Counters since start (gauges such as socket count and queue length are read live by statsSnapshot)
+const metrics = {
+  eventsForwarded: {},        // routed event type -> broadcasts
+  sends: { ok: 0, failed: 0, skipped: 0, rejected: 0 },
+  sendsQueued: 0,
+  retries: 0,
+  heartbeatTerminations: 0,
+  cacheBuilds: 0,
+  lastCacheBuildMs: null
+};
+const queuedRefOwners = new Map(); // ref -> ws that queued it (in-memory only; acks for restored items have no owner)
 let processingQueue = false;
 let cacheBuilding = false;
 const lastMessagePerChannel = new Map();
-let _saveTimer = null;
+const _saveTimers = {};
+
+// Idempotency store: a ref counts as processed until it expires or is pushed out by newer ones
+function isRefProcessed(ref) {
+  const at = state.processedRefs.get(ref);
+  if (at === undefined) return false;
+  if (Date.now() - at > REF_TTL_MS) { state.processedRefs.delete(ref); return false; }
+  return true;
+}
+
+function markRefProcessed(ref) {
+  state.processedRefs.delete(ref);
+  state.processedRefs.set(ref, Date.now());
+  pruneProcessedRefs();
+  saveStateToDiskDebounced('refs');
+}
+
+// Map keeps insertion order, which is also age order
+function pruneProcessedRefs() {
+  const cutoff = Date.now() - REF_TTL_MS;
+  for (const [ref, at] of state.processedRefs) {
+    if (at >= cutoff && state.processedRefs.size <= MAX_PROCESSED_REFS) break;
+    state.processedRefs.delete(ref);
+  }
+}
+
+// Persistence: one versioned file per part of the state, so a send doesn't rewrite the server list.
+//   cache.json { version, cacheReady, servers }   queue.json { version, queue }   refs.json { version, refs: { ref: ts } }
+const STORES = {
+  servers: {
+    file: CACHE_FILE,
+    dump: () => ({ cacheReady: state.cacheReady, servers: state.servers }),
+    load: d => {
+      if (!Array.isArray(d.servers)) throw new Error('servers is not an array');
+      state.servers = d.servers;
+      state.cacheReady = !!d.cacheReady;
+    }
+  },
+  queue: {
+    file: QUEUE_FILE,
+    dump: () => ({ queue: state.queue }),
+    load: d => {
+      if (!Array.isArray(d.queue)) throw new Error('queue is not an array');
+      state.queue = d.queue.filter(item => item && item.req);
+    }
+  },
+  deadLetters: {
+    file: DEAD_LETTERS_FILE,
+    dump: () => ({ deadLetters: state.deadLetters }),
+    load: d => {
+      if (!Array.isArray(d.deadLetters)) throw new Error('deadLetters is not an array');
+      state.deadLetters = d.deadLetters.filter(item => item && item.req);
+    }
+  },
+  refs: {
+    file: REFS_FILE,
+    dump: () => { pruneProcessedRefs(); return { refs: Object.fromEntries(state.processedRefs) }; },
+    load: d => {
+      if (!d.refs || typeof d.refs !== 'object') throw new Error('refs is not an object');
+      state.processedRefs = new Map(Object.entries(d.refs).filter(([, at]) => typeof at === 'number').sort((a, b) => a[1] - b[1]));
+      pruneProcessedRefs();
+    }
+  }
+};
+
+// MIGRATIONS[n] upgrades a file's data from version n to n + 1.
+// Version 1 is the unversioned all-in-one cache.json: { cacheReady, servers, queue, processedRefs: [ref] }.
+// Its queue and refs are handed to the other stores when their own files don't exist yet.
+const MIGRATIONS = {
+  1: (d, store) => {
+    if (store !== 'servers') return d;
+    const now = Date.now();
+    return {
+      cacheReady: d.cacheReady,
+      servers: d.servers,
+      legacy: {
+        queue: { queue: Array.isArray(d.queue) ? d.queue : [] },
+        refs: { refs: Object.fromEntries((Array.isArray(d.processedRefs) ? d.processedRefs : []).map(r => [String(r), now])) }
+      }
+    };
+  }
+};
+
+function migrate(data, store) {
+  const from = Number.isInteger(data.version) ? data.version : 1;
+  if (from > SCHEMA_VERSION) throw new Error(`written by a newer bridge (schema ${from})`);
+  for (let version = from; version < SCHEMA_VERSION; version++) data = MIGRATIONS[version](data, store);
+  return { data, migrated: from !== SCHEMA_VERSION };
+}
+
+// Move an unreadable file aside (kept for inspection) instead of silently starting over
+function quarantine(file, err) {
+  if (!fs.existsSync(file)) return;
+  const dest = `${file}.corrupt-${Date.now()}`;
+  try { fs.renameSync(file, dest); } catch (e) { /* ignore */ }
+  logger.warn('quarantined unreadable state file', { file, movedTo: dest, error: errText(err) });
+}
 
-// Persistence: load and save cache + processed refs
-function loadCacheFromDisk() {
+function readStore(name) {
+  const { file } = STORES[name];
+  if (!fs.existsSync(file)) return null;
   try {
-    if (!fs.existsSync(CACHE_FILE)) return false;
-    const raw = fs.readFileSync(CACHE_FILE, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (!parsed) return false;
-    state.servers = Array.isArray(parsed.servers) ? parsed.servers : [];
-    state.cacheReady = !!parsed.cacheReady;
-    state.queue = Array.isArray(parsed.queue) ? parsed.queue : [];
-    state.processedRefs = new Set(Array.isArray(parsed.processedRefs) ? parsed.processedRefs : []);
-    log('Loaded cache from disk:', CACHE_FILE, 'servers=', state.servers.length, 'processedRefs=', state.processedRefs.size);
-    return true;
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not a JSON object');
+    return migrate(parsed, name);
   } catch (e) {
-    log('Failed to load cache from disk:', e && e.message ? e.message : e);
-    return false;
+    quarantine(file, e);
+    return null;
   }
 }
 
-function saveStateToDiskDebounced() {
-  if (_saveTimer) clearTimeout(_saveTimer);
-  _saveTimer = setTimeout(() => {
+function loadStateFromDisk() {
+  const legacy = {};
+  for (const name of Object.keys(STORES)) {
+    let loaded = readStore(name);
+    if (!loaded && legacy[name]) loaded = { data: legacy[name], migrated: true };
+    if (!loaded) continue;
     try {
-      const tmp = CACHE_FILE + '.tmp';
-      const toSave = {
-        cacheReady: state.cacheReady,
-        servers: state.servers,
-        queue: state.queue,
-        processedRefs: Array.from(state.processedRefs)
-      };
-      fs.writeFileSync(tmp, JSON.stringify(toSave, null, 2), 'utf8');
-      fs.renameSync(tmp, CACHE_FILE);
-      log('Saved state to disk:', CACHE_FILE);
+      STORES[name].load(loaded.data);
+      if (loaded.data.legacy) Object.assign(legacy, loaded.data.legacy);
+      if (loaded.migrated) saveStateToDiskDebounced(name);
     } catch (e) {
-      log('Failed to save state to disk:', e && e.message ? e.message : e);
+      quarantine(STORES[name].file, e);
     }
+  }
+  logger.info('state loaded', { dir: DATA_DIR, servers: state.servers.length, queue: state.queue.length, processedRefs: state.processedRefs.size });
+}
+
+function saveStore(name) {
+  const { file, dump } = STORES[name];
+  try {
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ version: SCHEMA_VERSION, ...dump() }, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+    logger.debug('state saved', { file });
+  } catch (e) {
+    logger.error('failed to save state', { file, error: errText(e) });
+  }
+}
+
+// name: 'servers' | 'queue' | 'deadLetters' | 'refs'
+function saveStateToDiskDebounced(name) {
+  if (_saveTimers[name]) clearTimeout(_saveTimers[name]);
+  _saveTimers[name] = setTimeout(() => {
+    delete _saveTimers[name];
+    saveStore(name);
   }, SAVE_DEBOUNCE_MS);
 }
 
+function flushPendingSaves() {
+  for (const name of Object.keys(_saveTimers)) {
+    clearTimeout(_saveTimers[name]);
+    delete _saveTimers[name];
+    saveStore(name);
+  }
+}
+
+// Outbound rate limiting: token buckets (plain objects) refilled lazily from the clock
+function createBucket({ burst, perSec }) {
+  return { burst, perSec, tokens: burst, updatedAt: Date.now() };
+}
+
+function refillBucket(b, now = Date.now()) {
+  b.tokens = Math.min(b.burst, b.tokens + (now - b.updatedAt) / 1000 * b.perSec);
+  b.updatedAt = now;
+}
+
+// ms until the bucket has a whole token (0 = available now)
+function bucketWaitMs(b) {
+  refillBucket(b);
+  if (b.tokens >= 1) return 0;
+  return b.perSec > 0 ? Math.ceil((1 - b.tokens) / b.perSec * 1000) : Infinity;
+}
+
+const globalBucket = createBucket(RATE_LIMITS.global);
+const channelBuckets = new Map(); // channel key -> bucket
+
+// Bucket key of the channel a request targets, resolved from the cache so every way of naming one channel (id,
+// guild + name, a thread's id, a DM recipient's id or username) shares its bucket. Names the bridge can't resolve
+// yet keep a key of their own.
+function channelKeyOf(msg) {
+  if (msg.type === 'sendDirectMessage') {
+    const userId = dmRecipientId(msg);
+    return userId ? 'dm:' + userId : 'dm-name:' + String(msg.username || '').toLowerCase();
+  }
+  if (msg.channelId || msg.threadId) return String(msg.channelId || msg.threadId);
+  const { channel } = findNamedChannel(msg);
+  return channel ? channel.id : `${msg.guildId || msg.guildName || ''}/${msg.channelName || ''}`;
+}
+
+function channelBucket(key) {
+  let b = channelBuckets.get(key);
+  if (!b) { b = createBucket(RATE_LIMITS.channel); channelBuckets.set(key, b); }
+  return b;
+}
+
+// Take one token from every bucket, or none if any is empty.
+// Returns { ok, retryAfterMs, remaining } — the rate-limit info that goes into acks.
+function takeTokens(buckets) {
+  const waits = buckets.map(bucketWaitMs);
+  const retryAfterMs = Math.max(...waits);
+  if (retryAfterMs > 0) return { ok: false, retryAfterMs, remaining: 0 };
+  buckets.forEach(b => { b.tokens -= 1; });
+  const remaining = Math.min(...buckets.map(b => Math.floor(b.tokens)));
+  return { ok: true, retryAfterMs: remaining > 0 ? 0 : Math.max(...buckets.map(bucketWaitMs)), remaining };
+}
+
+// drop channel buckets that have refilled completely; they're recreated on demand
+function pruneChannelBuckets() {
+  for (const [key, b] of channelBuckets) {
+    refillBucket(b);
+    if (b.tokens >= b.burst) channelBuckets.delete(key);
+  }
+  for (const [key, b] of keyBuckets) {
+    refillBucket(b);
+    if (b.tokens >= b.burst) keyBuckets.delete(key);
+  }
+}
+
+// HTTP callers have no socket, so they share one "socket" bucket per key (as do queued sends whose socket is gone)
+const keyBuckets = new Map();
+function keyBucket(keyId) {
+  let b = keyBuckets.get(keyId);
+  if (!b) { b = createBucket(RATE_LIMITS.socket); keyBuckets.set(keyId, b); }
+  return b;
+}
+function httpBucket(auth) { return keyBucket(auth.id); }
+
 // WebSocket helpers
 function safeSend(ws, obj) {
-  try { ws.send(JSON.stringify(obj)); } catch (e) { log('safeSend failed', e && e.message ? e.message : e); }
+  try { ws.send(JSON.stringify(obj)); } catch (e) { logger.warn('socket send failed', { error: errText(e) }); }
+}
+// Send to one requesting socket (acks/errors are never broadcast). Once welcomed it goes through the socket's
+// session, numbered and buffered, so a reply that lands while the client reconnects is replayed on resume.
+function reply(ws, obj) {
+  if (ws && ws._session) sendToSession(ws._session, obj);
+  else if (ws && ws.readyState === WebSocket.OPEN) safeSend(ws, obj);
+}
+function sendToSession(session, obj) {
+  const event = numberEvent(obj);
+  event[EVENT_SESSION] = session.id;
+  if (!session.closedAt) deliver(session.socket, event);
 }
 function broadcast(obj) {
-  const s = JSON.stringify(obj);
-  sockets.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(s); });
+  const event = numberEvent(obj);
+  if (ROUTED_EVENTS.includes(obj.type)) metrics.eventsForwarded[obj.type] = (metrics.eventsForwarded[obj.type] || 0) + 1;
+  const s = JSON.stringify(event);
+  sockets.forEach(ws => deliver(ws, event, s));
+}
+function numberEvent(obj) {
+  const event = { ...obj, seq: ++eventSeq };
+  recentEvents.push(event);
+  if (recentEvents.length > EVENT_BUFFER_SIZE) recentEvents.shift();
+  return event;
+}
+
+// Send one event to one socket as that socket should see it (views built per key keep the event's seq).
+// Per-session events only reach that session's socket. Returns whether anything was sent.
+function deliver(ws, event, serialized = null) {
+  if (ws.readyState !== WebSocket.OPEN || !ws._auth) return false;
+  const view = event[EVENT_SESSION] ? (ws._session && ws._session.id === event[EVENT_SESSION] ? event : null) : viewFor(ws, event);
+  if (view === event) ws.send(serialized || JSON.stringify(event));
+  else if (view) safeSend(ws, { ...view, seq: event.seq });
+  return !!view;
+}
+
+// Replay what a socket missed since `seq` (the last one its client saw), as far back as the buffer goes
+function resumeSocket(ws, resume) {
+  const seq = Math.floor(Number(resume.seq));
+  const fail = reason => safeSend(ws, { type: 'resumeFailed', reason, seq: eventSeq, epoch: eventEpoch });
+  if (!Number.isFinite(seq) || seq < 0) return fail('bad-seq');
+  if (String(resume.epoch || '') !== eventEpoch || seq > eventSeq) return fail('restarted');
+  const oldest = recentEvents.length ? recentEvents[0].seq : eventSeq + 1;
+  if (seq + 1 < oldest) return fail('gap-too-large');
+  let replayed = 0;
+  for (const e of recentEvents) if (e.seq > seq && deliver(ws, e)) replayed++;
+  safeSend(ws, { type: 'resumed', seq: eventSeq, replayed });
+}
+
+// What a socket receives of a broadcast: obj itself, a filtered copy, or null
+function viewFor(ws, obj) {
+  const auth = ws._auth;
+  if (obj.type === 'serverList') return hasScope(auth, 'read') ? serverListFor(auth) : null;
+  if (obj.type === 'dm') return hasScope(auth, 'read') && canUseDms(auth) && subscriptionsMatch(ws._subscriptions, obj) ? obj : null;
+  if (obj.type === 'serverPartial' || obj.type === 'guildAdded') {
+    if (!hasScope(auth, 'read') || (auth.guilds && !auth.guilds.has(String(obj.guild.id)))) return null;
+    if (!auth.channels) return obj;
+    return { ...obj, guild: { ...obj.guild, channels: (obj.guild.channels || []).filter(c => canAccess(auth, obj.guild.id, c.id)) } };
+  }
+  if (CACHE_DIFFS.includes(obj.type)) {
+    if (!hasScope(auth, 'read') || (auth.guilds && !auth.guilds.has(String(obj.guildId)))) return null;
+    const channelId = obj.parentId || obj.channelId || (obj.channel && obj.channel.id);
+    if (channelId && !canAccess(auth, obj.guildId, channelId)) return null;
+    return obj;
+  }
+  if (obj.data && obj.data.guildId) {
+    if (!hasScope(auth, 'read') || !canAccess(auth, obj.data.guildId, obj.data.channelId, obj.data.parentId)) return null;
+  }
+  if (ROUTED_EVENTS.includes(obj.type) && !subscriptionsMatch(ws._subscriptions, obj)) return null;
+  return obj;
+}
+
+// The serverList message for one key; keys allowed DMs also get the DM contact list
+function serverListFor(auth) {
+  const list = { type: 'serverList', servers: serversFor(auth) };
+  if (canUseDms(auth)) list.dms = dmList();
+  return list;
+}
+
+// Subscriptions: a socket with none gets every routed event; otherwise an event must match at least one.
+// { id, events: ['message'|'ping'] | null, guildId, channelId, authorId, mentionsMe }
+function normalizeSubscription(msg) {
+  const opt = v => (v === undefined || v === null || v === '') ? null : String(v);
+  let events = null;
+  if (msg.events !== undefined && msg.events !== null) {
+    events = (Array.isArray(msg.events) ? msg.events : [msg.events]).map(String);
+    const unknown = events.filter(e => !ROUTED_EVENTS.includes(e));
+    if (unknown.length) throw new Error('unknown-event: ' + unknown.join(','));
+    if (!events.length) events = null;
+  }
+  return {
+    id: opt(msg.id) || crypto.randomUUID(),
+    events,
+    guildId: opt(msg.guildId),
+    channelId: opt(msg.channelId),
+    authorId: opt(msg.authorId),
+    mentionsMe: !!msg.mentionsMe
+  };
+}
+
+function subscriptionMatches(sub, obj) {
+  const d = obj.data || {};
+  if (sub.events && !sub.events.includes(obj.type)) return false;
+  if (sub.guildId && String(d.guildId) !== sub.guildId) return false;
+  if (sub.channelId && String(d.channelId) !== sub.channelId && String(d.parentId) !== sub.channelId) return false;
+  if (sub.authorId) {
+    const authorId = d.author ? d.author.id : (d.from ? d.from.id : null);
+    if (String(authorId) !== sub.authorId) return false;
+  }
+  if (sub.mentionsMe && !(obj.type === 'ping' || d.mentionsMe)) return false;
+  return true;
+}
+
+function subscriptionsMatch(subs, obj) {
+  if (!subs || subs.size === 0) return true;
+  for (const sub of subs.values()) if (subscriptionMatches(sub, obj)) return true;
+  return false;
+}
+
+// Commands: { prefix, name, args: [{ name, type, optional }], channels: [id] | null, usage }
+// registered per socket; a message "<prefix><name> args..." becomes a `command` event for that socket only.
+function normalizeCommand(msg) {
+  const bad = reason => new Error('bad-command: ' + reason);
+  const prefix = String(msg.prefix === undefined || msg.prefix === null ? '!' : msg.prefix);
+  if (!prefix || prefix.length > 5 || /\s/.test(prefix)) throw bad('prefix must be 1-5 characters without spaces');
+  const name = String(msg.name || '').toLowerCase();
+  if (!/^[\w-]{1,32}$/.test(name)) throw bad('name must be 1-32 letters, digits, _ or -');
+  const specs = msg.args === undefined || msg.args === null ? [] : msg.args;
+  if (!Array.isArray(specs) || specs.length > MAX_COMMAND_ARGS) throw bad(`args must be a list of at most ${MAX_COMMAND_ARGS}`);
+  const args = specs.map((a, i) => {
+    const spec = typeof a === 'string' ? { type: a } : (a || {});
+    const type = String(spec.type || '');
+    if (!COMMAND_ARG_TYPES.includes(type)) throw bad(`args[${i}].type must be one of ${COMMAND_ARG_TYPES.join(', ')}`);
+    if (type === 'rest' && i !== specs.length - 1) throw bad('a rest argument must come last');
+    return { name: String(spec.name || `${type}${i + 1}`), type, optional: !!spec.optional };
+  });
+  const optionalFrom = args.findIndex(a => a.optional);
+  if (optionalFrom !== -1 && args.slice(optionalFrom).some(a => !a.optional)) throw bad('optional arguments must come last');
+  const channels = msg.channels === undefined || msg.channels === null ? null : (Array.isArray(msg.channels) ? msg.channels : [msg.channels]).map(String);
+  const command = { prefix, name, args, channels: channels && channels.length ? channels : null };
+  command.usage = msg.usage ? String(msg.usage) : commandUsage(command);
+  return command;
+}
+
+// "Usage: !score <@who> <points> [note...]"
+function commandUsage(command) {
+  const shown = a => (a.type === 'user' ? '@' : a.type === 'channel' ? '#' : '') + a.name + (a.type === 'rest' ? '...' : '');
+  const args = command.args.map(a => (a.optional ? `[${shown(a)}]` : `<${shown(a)}>`));
+  return ['Usage: ' + command.prefix + command.name, ...args].join(' ');
+}
+
+// Typed arguments for a command's text after its name; throws Error(reason) for a usage reply
+function parseCommandArgs(command, text, m) {
+  const args = [];
+  let rest = text.trimStart();
+  for (const spec of command.args) {
+    if (spec.type === 'rest') {
+      const value = rest.trim();
+      if (!value && !spec.optional) throw new Error(`${spec.name} is missing`);
+      args.push({ name: spec.name, type: spec.type, value: value || null, raw: value });
+      rest = '';
+      break;
+    }
+    const token = /^(\S+)\s*/.exec(rest);
+    if (!token) {
+      if (!spec.optional) throw new Error(`${spec.name} is missing`);
+      args.push({ name: spec.name, type: spec.type, value: null, raw: '' });
+      continue;
+    }
+    args.push(parseCommandArg(spec, token[1], m));
+    rest = rest.slice(token[0].length);
+  }
+  if (rest.trim()) throw new Error('too many arguments');
+  return args;
+}
+
+function parseCommandArg(spec, raw, m) {
+  const arg = { name: spec.name, type: spec.type, value: null, raw };
+  if (spec.type === 'number') {
+    arg.value = Number(raw.replace(/,/g, ''));
+    if (!raw || !Number.isFinite(arg.value)) throw new Error(`${spec.name} must be a number`);
+  } else if (spec.type === 'user') {
+    const id = (/^<@!?(\d{15,25})>$/.exec(raw) || /^(\d{15,25})$/.exec(raw) || [])[1];
+    if (!id) throw new Error(`${spec.name} must be a user mention`);
+    const user = (m.mentions && m.mentions.users && m.mentions.users.get(id)) || client.users.cache.get(id) || null;
+    Object.assign(arg, { value: id, username: user ? user.username || '' : null });
+  } else if (spec.type === 'channel') {
+    const id = (/^<#(\d{15,25})>$/.exec(raw) || /^(\d{15,25})$/.exec(raw) || [])[1];
+    if (!id) throw new Error(`${spec.name} must be a channel mention`);
+    const ch = client.channels.cache.get(id) || null;
+    Object.assign(arg, { value: id, channelName: ch ? ch.name || '' : null });
+  }
+  return arg;
+}
+
+// Check a forwarded message against every socket's commands (messages we sent ourselves never count)
+function routeCommands(m, data) {
+  if (data.fromSelf) return;
+  const text = data.trimmedContent;
+  let usageReply = null;
+  // every session, including ones whose client is reconnecting: their command events wait in the buffer
+  for (const { socket: ws } of sessions.values()) {
+    if (!ws._commands.size) continue;
+    const auth = ws._auth;
+    if (!hasScope(auth, 'read') || !(data.isDM ? canUseDms(auth) : canAccess(auth, data.guildId, data.channelId, data.parentId))) continue;
+    for (const command of ws._commands.values()) {
+      if (!text.startsWith(command.prefix)) continue;
+      const invoked = /^(\S+)([\s\S]*)$/.exec(text.slice(command.prefix.length));
+      if (!invoked || invoked[1].toLowerCase() !== command.name) continue;
+      if (command.channels && !command.channels.includes(data.channelId) && !command.channels.includes(data.parentId)) continue;
+      try {
+        const args = parseCommandArgs(command, invoked[2], m);
+        reply(ws, {
+          type: 'command',
+          data: {
+            command: command.name,
+            prefix: command.prefix,
+            args,
+            messageId: data.messageId,
+            channelId: data.channelId,
+            guildId: data.guildId,
+            threadId: data.threadId,
+            parentId: data.parentId,
+            isDM: !!data.isDM,
+            author: data.author,
+            content: text,
+            timestamp: data.timestamp
+          }
+        });
+      } catch (e) {
+        logger.debug('malformed command', { command: command.name, messageId: data.messageId, error: e.message });
+        if (!usageReply && hasScope(auth, 'send')) usageReply = { ws, text: `${e.message}. ${command.usage}` };
+      }
+    }
+  }
+  if (usageReply) sendUsageReply(m, usageReply.ws, usageReply.text);
+}
+
+// One usage reply per message, paced by the registering socket's rate limits (skipped when over them)
+function sendUsageReply(m, ws, text) {
+  if (!canAccessChannel(ws._auth, m.channel)) return;
+  if (!takeTokens([ws._bucket, channelBucket(isDmChannel(m.channel) ? 'dm:' + m.author.id : m.channel.id), globalBucket]).ok) return;
+  m.channel.send({ content: text, reply: { messageReference: m.id, failIfNotExists: false } })
+    .catch(e => logger.warn('usage reply failed', { messageId: m.id, error: errText(e) }));
 }
 
 // Channel filter helper (exclude voice & categories)
 function isTextLikeChannel(ch) {
   if (!ch) return false;
+  if (isForumChannel(ch)) return true; // no messages of its own, but posts (threads) can be made in it
   if (typeof ch.isText === 'function') {
     try { return !!ch.isText(); } catch (e) {}
   }
@@ -137,48 +788,282 @@ function isTextLikeChannel(ch) {
   return false;
 }
 
+function isForumChannel(ch) {
+  return !!ch && (ch.type === 'GUILD_FORUM' || ch.type === 15);
+}
+
+function isThreadChannel(ch) {
+  if (!ch) return false;
+  if (typeof ch.isThread === 'function') {
+    try { return !!ch.isThread(); } catch (e) {}
+  }
+  return ['GUILD_PUBLIC_THREAD', 'GUILD_PRIVATE_THREAD', 'GUILD_NEWS_THREAD', 10, 11, 12].includes(ch.type);
+}
+
 // Ensure guilds fetch
 async function ensureGuildsFetched() {
   if (client.guilds.cache && client.guilds.cache.size > 0) return;
   try {
-    log('guilds.cache empty — attempting client.guilds.fetch()');
+    logger.info('guilds.cache empty — fetching guilds');
     await client.guilds.fetch();
     const start = Date.now();
     while (client.guilds.cache.size === 0 && Date.now() - start < 5000) await sleep(200);
   } catch (e) {
-    log('client.guilds.fetch error (nonfatal):', e && e.message ? e.message : e);
+    logger.warn('guild fetch failed (nonfatal)', { error: errText(e) });
+  }
+}
+
+// Cache entry for one channel: { id, name, forum?: true, threads?: [{id,name}] } (active threads only)
+function channelEntry(ch, threads = []) {
+  const entry = { id: ch.id, name: ch.name };
+  if (isForumChannel(ch)) entry.forum = true;
+  const own = threads.filter(t => t.parentId === ch.id && !t.archived);
+  if (own.length) entry.threads = own.map(t => ({ id: t.id, name: t.name }));
+  return entry;
+}
+
+// Active threads of a guild: whatever the gateway cached, plus (optionally) one fetch per parent channel
+async function activeThreads(g, parents) {
+  const found = new Map();
+  g.channels.cache.forEach(ch => { if (isThreadChannel(ch)) found.set(ch.id, ch); });
+  for (const ch of parents) {
+    if (!ch.threads) continue;
+    ch.threads.cache.forEach(t => found.set(t.id, t));
+    if (!FETCH_ACTIVE_THREADS || typeof ch.threads.fetchActive !== 'function') continue;
+    try {
+      const res = await ch.threads.fetchActive();
+      if (res && res.threads) res.threads.forEach(t => found.set(t.id, t));
+    } catch (e) { /* no access to the channel's threads */ }
   }
+  return Array.from(found.values());
+}
+
+// Cache entry for one guild: { id, name, channels: [...] } (text-like channels only, threads nested)
+async function guildEntry(g) {
+  try { await g.channels.fetch(); } catch (e) { /* ignore */ }
+  const parents = [];
+  for (const [, ch] of g.channels.cache) {
+    if (!isThreadChannel(ch) && isTextLikeChannel(ch)) parents.push(ch);
+  }
+  const threads = await activeThreads(g, parents);
+  return { id: g.id, name: g.name, channels: parents.map(ch => channelEntry(ch, threads)) };
 }
 
 // One-time cache build (called at startup only if disk cache missing OR manual request)
 async function buildCacheOnce({progressively = true} = {}) {
-  if (cacheBuilding) { log('buildCacheOnce already running — skipping'); return; }
+  if (cacheBuilding) { logger.debug('cache build already running — skipping'); return; }
   cacheBuilding = true;
-  log('Starting one-time cache build...');
+  logger.info('cache build started');
+  const buildStarted = Date.now();
   state.servers = [];
   await ensureGuildsFetched();
   const guilds = Array.from(client.guilds.cache.values());
   for (let i = 0; i < guilds.length; i++) {
     const g = guilds[i];
     try {
-      try { await g.channels.fetch(); } catch (e) { /* ignore */ }
-      const channels = [];
-      for (const [cid, ch] of g.channels.cache) {
-        if (isTextLikeChannel(ch)) channels.push({ id: ch.id, name: ch.name });
-      }
-      state.servers.push({ id: g.id, name: g.name, channels });
-      if (progressively) broadcast({ type: 'serverPartial', guild: { id: g.id, name: g.name, channels }});
-      log('Cached', g.name, 'text-channels=', channels.length);
+      const entry = await guildEntry(g);
+      state.servers.push(entry);
+      if (progressively) broadcast({ type: 'serverPartial', guild: entry });
+      logger.debug('guild cached', { guildId: g.id, guild: g.name, channels: entry.channels.length });
     } catch (e) {
-      log('Error caching guild', g && g.id, e && e.message ? e.message : e);
+      logger.warn('guild cache failed', { guildId: g && g.id, error: errText(e) });
     }
     if (i % 5 === 0) await sleep(120);
   }
   state.cacheReady = true;
   broadcast({ type: 'serverList', servers: state.servers });
-  saveStateToDiskDebounced();
+  saveStateToDiskDebounced('servers');
   cacheBuilding = false;
-  log('One-time cache build complete; cacheReady=true; servers=', state.servers.length);
+  metrics.cacheBuilds++;
+  metrics.lastCacheBuildMs = Date.now() - buildStarted;
+  logger.info('cache build complete', { servers: state.servers.length, durationMs: metrics.lastCacheBuildMs });
+}
+
+// Incremental cache updates: patch state.servers in place, persist, push a diff
+function cachedGuild(guildId) {
+  return state.servers.find(g => g.id === String(guildId)) || null;
+}
+
+async function onGuildCreate(g) {
+  try {
+    if (cacheBuilding || cachedGuild(g.id)) return;
+    const entry = await guildEntry(g);
+    if (cachedGuild(g.id)) return;
+    state.servers.push(entry);
+    saveStateToDiskDebounced('servers');
+    broadcast({ type: 'guildAdded', guild: entry });
+    logger.info('guild added', { guildId: g.id, guild: g.name, channels: entry.channels.length });
+  } catch (e) {
+    logger.error('guildCreate handler error', { error: errText(e) });
+  }
+}
+
+function onGuildDelete(g) {
+  const entry = cachedGuild(g.id);
+  if (!entry) return;
+  state.servers = state.servers.filter(x => x !== entry);
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'guildRemoved', guildId: entry.id });
+  logger.info('guild removed', { guildId: entry.id, guild: entry.name });
+}
+
+function onGuildUpdate(oldG, g) {
+  const entry = cachedGuild(g.id);
+  if (!entry || entry.name === g.name) return;
+  entry.name = g.name;
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'guildRenamed', guildId: entry.id, name: entry.name });
+}
+
+function onChannelCreate(ch) {
+  const entry = ch && ch.guild ? cachedGuild(ch.guild.id) : null;
+  if (!entry || isThreadChannel(ch) || !isTextLikeChannel(ch) || entry.channels.some(c => c.id === ch.id)) return;
+  const channel = channelEntry(ch);
+  entry.channels.push(channel);
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'channelAdded', guildId: entry.id, channel });
+}
+
+function onChannelUpdate(oldCh, ch) {
+  const entry = ch && ch.guild ? cachedGuild(ch.guild.id) : null;
+  if (!entry) return;
+  const existing = entry.channels.find(c => c.id === ch.id);
+  if (!existing) return onChannelCreate(ch);
+  if (!isTextLikeChannel(ch)) return onChannelDelete(ch);
+  if (existing.name === ch.name) return;
+  existing.name = ch.name;
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'channelRenamed', guildId: entry.id, channelId: ch.id, name: ch.name });
+}
+
+function onChannelDelete(ch) {
+  const entry = ch && ch.guild ? cachedGuild(ch.guild.id) : null;
+  if (!entry || !entry.channels.some(c => c.id === ch.id)) return;
+  entry.channels = entry.channels.filter(c => c.id !== ch.id);
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'channelRemoved', guildId: entry.id, channelId: ch.id });
+}
+
+// Threads live under their parent's entry; archived threads are dropped like deleted ones
+function cachedParent(t) {
+  const entry = t && t.guild ? cachedGuild(t.guild.id) : null;
+  const parent = entry ? entry.channels.find(c => c.id === t.parentId) : null;
+  return parent ? { entry, parent } : null;
+}
+
+function onThreadCreate(t) {
+  const found = cachedParent(t);
+  if (!found || t.archived || (found.parent.threads || []).some(x => x.id === t.id)) return;
+  const thread = { id: t.id, name: t.name };
+  found.parent.threads = (found.parent.threads || []).concat(thread);
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'threadAdded', guildId: found.entry.id, parentId: found.parent.id, thread });
+}
+
+function onThreadUpdate(oldT, t) {
+  const found = cachedParent(t);
+  if (!found) return;
+  const existing = (found.parent.threads || []).find(x => x.id === t.id);
+  if (t.archived) return onThreadDelete(t);
+  if (!existing) return onThreadCreate(t);
+  if (existing.name === t.name) return;
+  existing.name = t.name;
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'threadRenamed', guildId: found.entry.id, parentId: found.parent.id, threadId: t.id, name: t.name });
+}
+
+function onThreadDelete(t) {
+  const found = cachedParent(t);
+  if (!found || !(found.parent.threads || []).some(x => x.id === t.id)) return;
+  found.parent.threads = found.parent.threads.filter(x => x.id !== t.id);
+  if (!found.parent.threads.length) delete found.parent.threads;
+  saveStateToDiskDebounced('servers');
+  broadcast({ type: 'threadRemoved', guildId: found.entry.id, parentId: found.parent.id, threadId: t.id });
+}
+
+// Rendering Discord markup into readable text: mentions -> names from the caches, custom emoji -> :name:,
+// <t:unix:style> -> dates in DISPLAY_LOCALE / DISPLAY_TIMEZONE
+const TIMESTAMP_STYLES = {
+  t: { timeStyle: 'short' },
+  T: { timeStyle: 'medium' },
+  d: { dateStyle: 'short' },
+  D: { dateStyle: 'long' },
+  f: { dateStyle: 'long', timeStyle: 'short' },
+  F: { dateStyle: 'full', timeStyle: 'short' }
+};
+
+function formatTimestamp(seconds, style = 'f') {
+  const date = new Date(Number(seconds) * 1000);
+  if (isNaN(date.getTime())) return null;
+  try {
+    if (style === 'R') return formatRelative(date.getTime() - Date.now());
+    return new Intl.DateTimeFormat(DISPLAY_LOCALE, { ...(TIMESTAMP_STYLES[style] || TIMESTAMP_STYLES.f), timeZone: DISPLAY_TIMEZONE }).format(date);
+  } catch (e) {
+    return date.toISOString();
+  }
+}
+
+function formatRelative(diffMs) {
+  const units = [['year', 31536000000], ['month', 2592000000], ['day', 86400000], ['hour', 3600000], ['minute', 60000], ['second', 1000]];
+  const [unit, size] = units.find(([, ms]) => Math.abs(diffMs) >= ms) || units[units.length - 1];
+  return new Intl.RelativeTimeFormat(DISPLAY_LOCALE, { numeric: 'auto' }).format(Math.round(diffMs / size), unit);
+}
+
+function userLabel(id, m) {
+  const guild = m && m.guild;
+  const member = guild && guild.members && guild.members.cache ? guild.members.cache.get(id) : null;
+  if (member && member.displayName) return member.displayName;
+  const user = (m && m.mentions && m.mentions.users && m.mentions.users.get(id)) ||
+    (client && client.users && client.users.cache.get(id)) || null;
+  return user ? (user.globalName || user.username) : 'unknown-user';
+}
+
+function channelLabel(id) {
+  const ch = client && client.channels && client.channels.cache ? client.channels.cache.get(id) : null;
+  if (ch && ch.name) return ch.name;
+  for (const g of state.servers) {
+    for (const c of g.channels || []) {
+      if (c.id === id) return c.name;
+      const t = (c.threads || []).find(x => x.id === id);
+      if (t) return t.name;
+    }
+  }
+  return 'unknown-channel';
+}
+
+function renderContent(text, m) {
+  if (!text) return '';
+  return text
+    .replace(/<@!?(\d+)>/g, (_, id) => '@' + userLabel(id, m))
+    .replace(/<@&(\d+)>/g, (_, id) => {
+      const role = m && m.guild && m.guild.roles && m.guild.roles.cache ? m.guild.roles.cache.get(id) : null;
+      return '@' + (role ? role.name : 'unknown-role');
+    })
+    .replace(/<#(\d+)>/g, (_, id) => '#' + channelLabel(id))
+    .replace(/<\/([\w -]+):\d+>/g, '/$1') // slash command mentions
+    .replace(/<a?:(\w+):\d+>/g, ':$1:')
+    .replace(/<t:(-?\d+)(?::([tTdDfFR]))?>/g, (match, seconds, style) => formatTimestamp(seconds, style) || match);
+}
+
+// Drop Discord markdown, keeping the text: code, spoilers, bold/italic/underline/strike, headings, quotes, masked links
+const MARKDOWN_ESCAPABLE = '*_~`|>#\\-';
+
+function stripMarkdown(text) {
+  if (!text) return '';
+  // park backslash-escaped characters in the private use area so the patterns below leave them alone
+  return text
+    .replace(/\\([*_~`|>#\\-])/g, (_, c) => String.fromCharCode(0xE000 + MARKDOWN_ESCAPABLE.indexOf(c)))
+    .replace(/```(?:[\w+-]*\n)?([\s\S]*?)```/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\|\|([\s\S]+?)\|\|/g, '$1')
+    .replace(/\[([^\]]+)\]\(<?(https?:\/\/[^)>\s]+)>?\)/g, '$1')
+    .replace(/^(?:#{1,3}|-#) +/gm, '')
+    .replace(/^>>> ?|^> ?/gm, '')
+    .replace(/(\*\*|__|~~)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '$1')
+    .replace(/(^|[^\w\\])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+    .replace(/[\uE000-\uE009]/g, c => MARKDOWN_ESCAPABLE[c.charCodeAt(0) - 0xE000])
+    .trim();
 }
 
 // Pick display text for forwarded messages
@@ -192,32 +1077,161 @@ function pickDisplayText({ trimmed, embeds, attachments }) {
   return '[no content]';
 }
 
-// Message forwarding & ping detection
-client.on('messageCreate', m => {
-  try {
-    if (!m.guild || !m.channel) return; // ignore DMs
-    if (m.webhookId) return; // ignore webhooks
-    if (m.author && m.author.bot && client.user && m.author.id !== client.user.id) return; // ignore other bots
+// The message `m` replies to, if it's cached (or fetched first by fetchReferencedMessage)
+function referencedMessage(m) {
+  const refId = m.reference && m.reference.messageId;
+  if (!refId || !m.channel || !m.channel.messages || !m.channel.messages.cache) return null;
+  return m.channel.messages.cache.get(refId) || null;
+}
 
-    const raw = typeof m.content === 'string' ? m.content : '';
-    const trimmed = raw.replace(/\u200B/g,'').trim();
+async function fetchReferencedMessage(m) {
+  if (!m.reference || !m.reference.messageId || referencedMessage(m)) return;
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(resolve, REPLY_FETCH_TIMEOUT_MS); });
+  try { await Promise.race([m.fetchReference(), timeout]); } catch (e) { /* deleted or no access; replyTo keeps just the id */ }
+  clearTimeout(timer);
+}
 
-    // attachments
-    const attachments = [];
-    if (m.attachments && m.attachments.size) {
-      for (const [, a] of m.attachments) {
-        if (a && a.url) attachments.push({ url: a.url, name: a.name || null, contentType: a.contentType || null });
-      }
+// Discord events are handled one at a time in arrival order, so a reply that waits for fetchReferencedMessage is
+// still broadcast (and numbered) before whatever arrived after it
+let discordEvents = Promise.resolve();
+function inOrder(handler) {
+  return (...args) => {
+    discordEvents = discordEvents.then(() => handler(...args))
+      .catch(e => logger.error('discord event handler error', { error: errText(e) }));
+  };
+}
+
+function replyToData(m) {
+  const refId = m.reference && m.reference.messageId;
+  if (!refId) return null;
+  const ref = referencedMessage(m);
+  if (!ref) return { messageId: refId, author: null, excerpt: '' };
+  const text = typeof ref.content === 'string' ? renderContent(ref.content.replace(/\u200B/g, '').trim(), ref) : '';
+  return {
+    messageId: refId,
+    author: ref.author ? { id: ref.author.id || '', username: ref.author.username || '' } : null,
+    excerpt: text.length > REPLY_EXCERPT_LEN ? text.slice(0, REPLY_EXCERPT_LEN - 1) + '…' : text
+  };
+}
+
+// Full embed for the message payload (same shape sendMessage.embeds accepts)
+function embedData(e) {
+  const media = x => (x && x.url ? { url: x.url, width: x.width || null, height: x.height || null } : null);
+  return {
+    type: e.type || null,
+    title: e.title || null,
+    description: e.description || null,
+    url: e.url || null,
+    color: typeof e.color === 'number' ? e.color : null,
+    timestamp: e.timestamp ? new Date(e.timestamp).toISOString() : null,
+    author: e.author && e.author.name ? { name: e.author.name, url: e.author.url || null, iconUrl: e.author.iconURL || e.author.icon_url || null } : null,
+    footer: e.footer && e.footer.text ? { text: e.footer.text, iconUrl: e.footer.iconURL || e.footer.icon_url || null } : null,
+    image: media(e.image),
+    thumbnail: media(e.thumbnail),
+    video: media(e.video),
+    provider: e.provider && e.provider.name ? { name: e.provider.name, url: e.provider.url || null } : null,
+    fields: (e.fields || []).map(f => ({ name: f.name, value: f.value, inline: !!f.inline }))
+  };
+}
+
+// Build the `message` event data for a discord.js Message (shared by live events and history)
+function buildMessageData(m) {
+  const raw = typeof m.content === 'string' ? m.content : '';
+  const trimmed = raw.replace(/\u200B/g,'').trim();
+
+  // attachments
+  const attachments = [];
+  if (m.attachments && m.attachments.size) {
+    for (const [, a] of m.attachments) {
+      if (a && a.url) attachments.push({ id: a.id || null, url: a.url, name: a.name || null, contentType: a.contentType || null });
     }
+  }
+
+  const embeds = (m.embeds || []).map(embedData);
+
+  // mentions
+  const mentions = [];
+  if (m.mentions && m.mentions.users && typeof m.mentions.users.forEach === 'function') {
+    m.mentions.users.forEach(u => mentions.push({ id: u.id, username: u.username }));
+  }
+
+  const rendered = renderContent(trimmed, m);
+  const displayText = pickDisplayText({ trimmed: rendered, embeds, attachments });
+  const plainText = pickDisplayText({ trimmed: stripMarkdown(rendered), embeds, attachments });
+  const thread = isThreadChannel(m.channel) ? m.channel : null;
+  const fromSelf = !!(client.user && m.author && (m.author.id === client.user.id));
+
+  // ping detection (mentions of our user)
+  let pinged = false;
+  if (client.user && m.mentions && m.mentions.users && typeof m.mentions.users.has === 'function') {
+    try { pinged = m.mentions.users.has(client.user.id); } catch (e) { /* ignore */ }
+  }
+
+  return {
+    messageId: m.id,
+    rawContent: raw,
+    trimmedContent: trimmed,
+    contentLength: trimmed.length,
+    displayText,
+    plainText,
+    attachments,
+    embeds,
+    mentions,
+    isReply: !!(m.reference && (m.reference.messageId || m.reference.channelId)),
+    replyTo: replyToData(m),
+    author: authorData(m),
+    guildId: m.guild ? m.guild.id : '',
+    guildName: m.guild ? (m.guild.name || '') : '',
+    channelId: m.channel ? m.channel.id : '',
+    channelName: m.channel ? (m.channel.name || '') : '',
+    // messages in threads: the thread is the channel, parentId the channel (or forum) it belongs to
+    threadId: thread ? thread.id : null,
+    parentId: thread ? (thread.parentId || null) : null,
+    timestamp: m.createdTimestamp || Date.now(),
+    fromSelf,
+    mentionsMe: pinged
+  };
+}
 
-    // embeds
-    const embeds = (m.embeds || []).map(e => ({ title: e.title || null, description: e.description || null, type: e.type || null }));
+// Recent DM contacts (in memory, most recent last): userId -> { userId, username, channelId, lastMessageAt }
+const recentContacts = new Map();
 
-    // mentions
-    const mentions = [];
-    if (m.mentions && m.mentions.users && typeof m.mentions.users.forEach === 'function') {
-      m.mentions.users.forEach(u => mentions.push({ id: u.id, username: u.username }));
+// returns true when the user is a new contact (the DM list changed)
+function rememberContact(user, channelId) {
+  if (!user || !user.id || (client.user && user.id === client.user.id)) return false;
+  const known = recentContacts.delete(user.id);
+  recentContacts.set(user.id, { userId: user.id, username: user.username || '', channelId, lastMessageAt: Date.now() });
+  while (recentContacts.size > MAX_RECENT_CONTACTS) recentContacts.delete(recentContacts.keys().next().value);
+  return !known;
+}
+
+// DM contacts for the server list: recent contacts first, then other cached DM channels
+function dmList() {
+  const list = Array.from(recentContacts.values()).reverse();
+  if (client && client.channels && client.channels.cache) {
+    client.channels.cache.forEach(ch => {
+      if (ch.type !== 'DM' || !ch.recipient || recentContacts.has(ch.recipient.id)) return;
+      list.push({ userId: ch.recipient.id, username: ch.recipient.username || '', channelId: ch.id, lastMessageAt: null });
+    });
+  }
+  return list;
+}
+
+function isDmChannel(ch) {
+  return !!ch && (ch.type === 'DM' || ch.type === 1) && !ch.guild;
+}
+
+// Message forwarding & ping detection
+async function onMessageCreate(m) {
+  try {
+    if (!m.channel) return;
+    if (!m.guild) {
+      if (isDmChannel(m.channel)) await onDirectMessage(m);
+      return; // ignore group DMs
     }
+    if (m.webhookId) return; // ignore webhooks
+    if (m.author && m.author.bot && client.user && m.author.id !== client.user.id) return; // ignore other bots
 
     // dedupe per channel
     try {
@@ -226,40 +1240,15 @@ client.on('messageCreate', m => {
       lastMessagePerChannel.set(m.channel.id, { id: m.id, ts: Date.now() });
     } catch (e) { /* ignore */ }
 
-    const displayText = pickDisplayText({ trimmed, embeds, attachments });
-    const fromSelf = client.user && m.author && (m.author.id === client.user.id);
-
-    const payload = {
-      type: 'message',
-      data: {
-        messageId: m.id,
-        rawContent: raw,
-        trimmedContent: trimmed,
-        contentLength: trimmed.length,
-        displayText,
-        attachments,
-        embeds,
-        mentions,
-        isReply: !!(m.reference && (m.reference.messageId || m.reference.channelId)),
-        author: { id: m.author?.id || '', username: m.author?.username || '', bot: !!m.author?.bot },
-        guildId: m.guild.id,
-        guildName: m.guild.name || '',
-        channelId: m.channel.id,
-        channelName: m.channel.name || '',
-        timestamp: m.createdTimestamp || Date.now(),
-        fromSelf
-      }
-    };
+    await fetchReferencedMessage(m);
+    const data = buildMessageData(m);
+    const payload = { type: 'message', data };
 
     broadcast(payload);
+    archiveMessage(data);
+    routeCommands(m, data);
 
-    // ping detection (mentions of our user)
-    let pinged = false;
-    if (client.user && m.mentions && m.mentions.users && typeof m.mentions.users.has === 'function') {
-      try { pinged = m.mentions.users.has(client.user.id); } catch (e) { /* ignore */ }
-    }
-
-    if (pinged) {
+    if (data.mentionsMe) {
       const pingPayload = {
         type: 'ping',
         data: {
@@ -269,136 +1258,1122 @@ client.on('messageCreate', m => {
           guildName: m.guild.name || '',
           channelId: m.channel.id,
           channelName: m.channel.name || '',
-          content: displayText,
+          content: data.displayText,
           timestamp: m.createdTimestamp || Date.now()
         }
       };
       broadcast(pingPayload);
-      log('Ping forwarded from', m.author && m.author.username, 'in', m.guild && m.guild.name);
+      logger.debug('ping forwarded', { messageId: m.id, from: m.author && m.author.username, guildId: m.guild && m.guild.id });
     }
   } catch (err) {
-    log('messageCreate handler error', err && err.message ? err.message : err);
+    logger.error('messageCreate handler error', { error: errText(err) });
   }
-});
+}
 
-// Sending (idempotent by ref). Called when discordConnected is true.
-async function handleSendRequest(msg) {
-  const ref = msg.ref ? String(msg.ref) : null;
+// Incoming (and our own outgoing) direct messages
+async function onDirectMessage(m) {
+  if (!DMS_ENABLED) return;
+  const fromSelf = client.user && m.author && m.author.id === client.user.id;
+  const newContact = rememberContact(fromSelf ? m.channel.recipient : m.author, m.channel.id);
+  await fetchReferencedMessage(m);
+  const data = { ...buildMessageData(m), isDM: true };
+  data.recipient = m.channel.recipient ? { id: m.channel.recipient.id, username: m.channel.recipient.username || '' } : null;
+  broadcast({ type: 'dm', data });
+  archiveMessage(data);
+  routeCommands(m, data);
+  if (newContact) broadcast({ type: 'serverList' }); // viewFor fills in servers + dms per key
+  if (!fromSelf) logger.debug('DM forwarded', { messageId: m.id, from: m.author && m.author.username });
+}
 
-  if (ref && state.processedRefs.has(ref)) {
-    log('handleSendRequest: skipping already-processed ref', ref);
-    broadcast({ type: 'ack', ok: true, ref, skipped: true });
-    return { ok: true, skipped: true };
+// Recipient id of a sendDirectMessage from what the bridge already knows (null if the username is unknown)
+function dmRecipientId(msg) {
+  if (msg.userId) return String(msg.userId);
+  const name = String(msg.username || '').toLowerCase();
+  const contact = Array.from(recentContacts.values()).reverse().find(c => c.username.toLowerCase() === name);
+  if (contact) return contact.userId;
+  const user = client && client.users.cache.find(u => (u.username || '').toLowerCase() === name);
+  return user ? user.id : null;
+}
+
+// DM channel for sendDirectMessage: by user id, else by (case-insensitive) username among recent contacts / cached users
+async function resolveDmChannel(msg) {
+  let user = null;
+  if (msg.userId) {
+    try { user = await client.users.fetch(String(msg.userId)); } catch (e) { /* handled below */ }
+  } else if (msg.username) {
+    const name = String(msg.username).toLowerCase();
+    const contact = Array.from(recentContacts.values()).reverse().find(c => c.username.toLowerCase() === name);
+    if (contact) {
+      try { user = await client.users.fetch(contact.userId); } catch (e) { /* handled below */ }
+    }
+    if (!user) user = client.users.cache.find(u => (u.username || '').toLowerCase() === name) || null;
   }
+  if (!user) throw new Error('User not found');
+  return user.createDM();
+}
 
-  let targetChannel = null;
+// Identity fields for events about a message that may only be partially known (deleted / uncached)
+function messageRefData(m) {
+  return {
+    messageId: m.id,
+    author: m.author ? { id: m.author.id || '', username: m.author.username || '', bot: !!m.author.bot } : null,
+    guildId: m.guild ? m.guild.id : (m.guildId || ''),
+    guildName: m.guild ? (m.guild.name || '') : '',
+    channelId: m.channel ? m.channel.id : (m.channelId || ''),
+    channelName: m.channel ? (m.channel.name || '') : ''
+  };
+}
+
+// Edits: same data as `message`, plus the previous content when it was cached
+async function onMessageUpdate(oldM, newM) {
   try {
-    // Try by channelId
-    if (msg.channelId) {
-      try { targetChannel = await client.channels.fetch(String(msg.channelId)); } catch (e) { log('channel.fetch by id failed', e && e.message ? e.message : e); }
+    if (!newM || !newM.guildId && !newM.guild) return; // ignore DMs
+    if (newM.partial) {
+      try { newM = await newM.fetch(); } catch (e) { return; }
     }
+    if (newM.webhookId) return;
+    // embed unfurls also fire messageUpdate; only forward real content edits
+    if (oldM && !oldM.partial && oldM.content === newM.content) return;
+    const data = buildMessageData(newM);
+    data.previousContent = oldM && !oldM.partial ? (oldM.content || '') : null;
+    data.editedTimestamp = newM.editedTimestamp || Date.now();
+    broadcast({ type: 'messageUpdate', data });
+  } catch (err) {
+    logger.error('messageUpdate handler error', { error: errText(err) });
+  }
+}
 
-    // otherwise try to resolve via guild
+function onMessageDelete(m) {
+  try {
+    if (!m || !m.guildId && !m.guild) return; // ignore DMs
+    const data = messageRefData(m);
+    data.rawContent = m.partial ? null : (m.content || '');
+    data.timestamp = Date.now();
+    broadcast({ type: 'messageDelete', data });
+  } catch (err) {
+    logger.error('messageDelete handler error', { error: errText(err) });
+  }
+}
+
+async function forwardReaction(type, reaction, user) {
+  try {
+    if (reaction.partial) {
+      try { reaction = await reaction.fetch(); } catch (e) { return; }
+    }
+    const m = reaction.message;
+    if (!m || !m.guildId && !m.guild) return; // ignore DMs
+    const data = messageRefData(m);
+    data.emoji = { id: reaction.emoji.id || null, name: reaction.emoji.name || '', text: reaction.emoji.id ? `<:${reaction.emoji.name}:${reaction.emoji.id}>` : (reaction.emoji.name || '') };
+    data.user = { id: user ? user.id : '', username: user && user.username ? user.username : '' };
+    data.count = reaction.count || 0;
+    data.fromSelf = !!(client.user && user && user.id === client.user.id);
+    data.timestamp = Date.now();
+    broadcast({ type, data });
+  } catch (err) {
+    logger.error(type + ' handler error', { error: errText(err) });
+  }
+}
+
+// Numeric-string compare, so same-millisecond messages still sort in creation order
+function compareSnowflakes(a, b) {
+  a = String(a); b = String(b);
+  if (a.length !== b.length) return a.length - b.length;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// History: one page of messages (oldest first). Page backwards with `before`, forwards with `after`.
+async function fetchHistory(msg, auth) {
+  const channelId = msg.channelId ? String(msg.channelId) : null;
+  if (!channelId) throw new Error('channelId required');
+  const limit = Math.max(1, Math.min(HISTORY_PAGE_MAX, Math.floor(Number(msg.limit) || 50)));
+
+  // keys with allow-lists get `forbidden` for channels they can't read and for ones that don't exist alike
+  if (!hasScope(auth, 'read')) throw new Error('forbidden');
+  if ((auth.guilds || auth.channels) && !canAccessKnownChannel(auth, channelId)) throw new Error('forbidden');
+
+  let channel = null;
+  try { channel = await client.channels.fetch(channelId); } catch (e) { /* handled below */ }
+  if (!channel || !channel.messages || typeof channel.messages.fetch !== 'function') throw new Error('Channel not found or has no history');
+  if (!canAccessChannel(auth, channel)) throw new Error('forbidden');
+
+  const query = { limit };
+  if (msg.before) query.before = String(msg.before);
+  else if (msg.after) query.after = String(msg.after);
+  const fetched = Array.from((await channel.messages.fetch(query)).values())
+    .sort((a, b) => ((a.createdTimestamp || 0) - (b.createdTimestamp || 0)) || compareSnowflakes(a.id, b.id));
+  const messages = fetched.filter(m => !m.webhookId).map(buildMessageData);
+
+  // cursors come from what Discord returned, so pages thinned out by skipped webhook messages still continue
+  const full = fetched.length === limit;
+  return {
+    channelId: channel.id,
+    messages,
+    // cursors for the next page in either direction (null when this page wasn't full)
+    before: full && !query.after ? fetched[0].id : null,
+    after: full && query.after ? fetched[fetched.length - 1].id : null
+  };
+}
+
+// Archive: channelId -> { entries (oldest first, message payloads), stale (lines on disk no longer in entries) }
+const archive = new Map();
+// ARCHIVE_RETENTION = JSON { "<guild, channel or parent channel id>": { maxMessages, maxAgeDays } }; maxMessages 0 = don't archive
+let archiveRetention = {};
+
+function archiveFile(channelId) {
+  return path.join(ARCHIVE_DIR, channelId.replace(/[^0-9A-Za-z_-]/g, '_') + '.jsonl');
+}
+
+// Most specific rule wins (channel, then the thread's parent, then guild); missing fields use the global limits
+function retentionFor(data) {
+  const rule = [data.channelId, data.parentId, data.guildId]
+    .map(id => (id ? archiveRetention[id] : null))
+    .find(Boolean) || {};
+  return {
+    maxMessages: Number.isFinite(Number(rule.maxMessages)) ? Number(rule.maxMessages) : ARCHIVE_MAX_MESSAGES,
+    maxAgeDays: Number.isFinite(Number(rule.maxAgeDays)) ? Number(rule.maxAgeDays) : ARCHIVE_MAX_AGE_DAYS
+  };
+}
+
+function loadArchive() {
+  archive.clear();
+  try {
+    archiveRetention = JSON.parse(process.env.ARCHIVE_RETENTION || '{}') || {};
+  } catch (e) {
+    archiveRetention = {};
+    logger.error('ARCHIVE_RETENTION is not valid JSON; using the global limits', { error: errText(e) });
+  }
+  try { fs.mkdirSync(ARCHIVE_DIR, { recursive: true }); } catch (e) { /* reported on first write */ }
+  let files = [];
+  try { files = fs.readdirSync(ARCHIVE_DIR).filter(f => f.endsWith('.jsonl')); } catch (e) { /* empty archive */ }
+  let total = 0;
+  for (const f of files) {
+    const entries = [];
+    let stale = 0;
+    for (const line of fs.readFileSync(path.join(ARCHIVE_DIR, f), 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch (e) { stale++; } // a torn last line from a crash
+    }
+    if (!entries.length) continue;
+    const channelId = entries[0].channelId;
+    archive.set(channelId, { entries, stale });
+    pruneArchiveChannel(channelId);
+    total += archive.get(channelId).entries.length;
+  }
+  logger.info('archive loaded', { dir: ARCHIVE_DIR, channels: archive.size, messages: total });
+}
+
+function archiveMessage(data) {
+  if (!ARCHIVE_ENABLED || !data.channelId) return;
+  if (retentionFor(data).maxMessages <= 0) return;
+  const channelId = data.channelId;
+  if (!archive.has(channelId)) archive.set(channelId, { entries: [], stale: 0 });
+  archive.get(channelId).entries.push(data);
+  try {
+    fs.appendFileSync(archiveFile(channelId), JSON.stringify(data) + '\n', 'utf8');
+  } catch (e) {
+    logger.error('archive write failed', { channelId, error: errText(e) });
+  }
+  pruneArchiveChannel(channelId);
+}
+
+// Drop entries over the channel's limits; the file is rewritten once enough dropped lines pile up
+function pruneArchiveChannel(channelId, now = Date.now()) {
+  const ch = archive.get(channelId);
+  if (!ch || !ch.entries.length) return;
+  const { maxMessages, maxAgeDays } = retentionFor(ch.entries[ch.entries.length - 1]);
+  let drop = Math.max(0, ch.entries.length - Math.max(0, maxMessages));
+  if (maxAgeDays > 0) {
+    const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+    while (drop < ch.entries.length && (ch.entries[drop].timestamp || 0) < cutoff) drop++;
+  }
+  if (drop > 0) {
+    ch.entries.splice(0, drop);
+    ch.stale += drop;
+  }
+  if (ch.stale > 0 && (!ch.entries.length || ch.stale >= Math.max(50, ch.entries.length / 10))) compactArchiveChannel(channelId);
+}
+
+function compactArchiveChannel(channelId) {
+  const ch = archive.get(channelId);
+  const file = archiveFile(channelId);
+  try {
+    if (!ch.entries.length) {
+      fs.rmSync(file, { force: true });
+      archive.delete(channelId);
+      return;
+    }
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, ch.entries.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+    fs.renameSync(tmp, file);
+    ch.stale = 0;
+  } catch (e) {
+    logger.error('archive compaction failed', { channelId, error: errText(e) });
+  }
+}
+
+function pruneArchive() {
+  const now = Date.now();
+  for (const channelId of Array.from(archive.keys())) pruneArchiveChannel(channelId, now);
+}
+
+// since/until: epoch milliseconds or anything Date.parse understands
+function parseTime(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = typeof value === 'number' || /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  if (!Number.isFinite(t)) throw requestError('bad-time', { field });
+  return t;
+}
+
+// Search: one page of archived messages (oldest first) matching every given filter, newest page first.
+// Filters: query (text, case-insensitive), authorId / author (username), guildId, channelId (includes its threads),
+// since / until. Page backwards with `before` (a messageId from the previous page).
+function searchMessages(msg, auth) {
+  if (!ARCHIVE_ENABLED) throw new Error('archive-disabled');
+  if (!hasScope(auth, 'read')) throw new Error('forbidden');
+  const limit = Math.max(1, Math.min(SEARCH_PAGE_MAX, Math.floor(Number(msg.limit) || 25)));
+  const query = msg.query ? String(msg.query).toLowerCase() : null;
+  const author = msg.author ? String(msg.author).toLowerCase() : null;
+  const since = parseTime(msg.since, 'since');
+  const until = parseTime(msg.until, 'until');
+  const before = msg.before ? String(msg.before) : null;
+  const visible = d => (d.isDM ? canUseDms(auth) : canAccess(auth, d.guildId, d.channelId, d.parentId));
+  const matches = d =>
+    (!msg.channelId || d.channelId === String(msg.channelId) || d.parentId === String(msg.channelId)) &&
+    (!msg.guildId || d.guildId === String(msg.guildId)) &&
+    (!msg.authorId || d.author.id === String(msg.authorId)) &&
+    (!author || (d.author.username || '').toLowerCase() === author) &&
+    (since === null || d.timestamp >= since) &&
+    (until === null || d.timestamp <= until) &&
+    (!before || compareSnowflakes(d.messageId, before) < 0) &&
+    (!query || (d.plainText || '').toLowerCase().includes(query) || (d.trimmedContent || '').toLowerCase().includes(query));
+
+  pruneArchive();
+  const found = [];
+  for (const { entries } of archive.values()) {
+    for (const d of entries) if (matches(d) && visible(d)) found.push(d);
+  }
+  found.sort((a, b) => compareSnowflakes(a.messageId, b.messageId));
+  const messages = found.slice(-limit);
+  return {
+    messages,
+    // cursor for the next (older) page; null when there's nothing older
+    before: found.length > limit ? messages[0].messageId : null
+  };
+}
+
+// Users and members. Avatar URLs are PNGs (Scratch can't load webp costumes); roles are highest first, without @everyone.
+function avatarUrl(who) {
+  if (!who || typeof who.displayAvatarURL !== 'function') return null;
+  try { return who.displayAvatarURL({ format: 'png', size: AVATAR_SIZE }); } catch (e) { return null; }
+}
+
+function userData(u) {
+  return { id: u.id, username: u.username || '', globalName: u.globalName || null, bot: !!u.bot, avatarUrl: avatarUrl(u) };
+}
+
+function memberRoles(member) {
+  const guildId = member.guild ? member.guild.id : null;
+  const roles = member.roles && member.roles.cache ? Array.from(member.roles.cache.values()) : [];
+  return roles
+    .filter(r => r.id !== guildId)
+    .sort((a, b) => (b.position || 0) - (a.position || 0))
+    .map(r => ({ id: r.id, name: r.name }));
+}
+
+function memberData(member) {
+  const user = member.user || {};
+  return {
+    ...userData(user),
+    guildId: member.guild ? member.guild.id : '',
+    displayName: member.displayName || user.globalName || user.username || '',
+    nickname: member.nickname || null,
+    avatarUrl: avatarUrl(member) || avatarUrl(user), // guild avatar if set
+    roles: memberRoles(member),
+    status: member.presence ? member.presence.status || null : null,
+    joinedAt: member.joinedTimestamp || null
+  };
+}
+
+// message author: guild display name and roles when Discord sent the member along (not for DMs / webhooks)
+function authorData(m) {
+  const user = m.author || {};
+  const member = m.member && m.member.user ? m.member : null;
+  return {
+    id: user.id || '',
+    username: user.username || '',
+    bot: !!user.bot,
+    displayName: (member && member.displayName) || user.globalName || user.username || '',
+    avatarUrl: avatarUrl(member) || avatarUrl(user),
+    roles: member ? memberRoles(member).map(r => r.name) : []
+  };
+}
+
+// case-insensitive match on any of the names a member goes by
+function memberNames(member) {
+  const user = member.user || {};
+  return [member.nickname, member.displayName, user.globalName, user.username].filter(Boolean).map(n => n.toLowerCase());
+}
+
+// Guild by id, else by (case-insensitive) name among the cached servers. Keys limited to channels may look at the
+// members of a guild where they can read at least one channel.
+function resolveGuild(msg, auth) {
+  let entry = null;
+  if (msg.guildId) entry = cachedGuild(msg.guildId);
+  else if (msg.guildName) {
+    const name = String(msg.guildName).toLowerCase();
+    entry = state.servers.find(g => (g.name || '').toLowerCase() === name) || null;
+  } else throw new Error('guildId or guildName required');
+  const guild = entry && client.guilds.cache.get(entry.id);
+  if (!guild || !guild.members) throw new Error('Guild not found');
+  if (!hasScope(auth, 'read') || (auth.guilds && !auth.guilds.has(entry.id)) ||
+      (auth.channels && !(entry.channels || []).some(c => canAccess(auth, entry.id, c.id)))) throw new Error('forbidden');
+  return guild;
+}
+
+// getUser: by id, else by username / global name among cached users
+async function findUser(msg, auth) {
+  if (!hasScope(auth, 'read')) throw new Error('forbidden');
+  let user = null;
+  if (msg.userId) {
+    try { user = await client.users.fetch(String(msg.userId)); } catch (e) { /* handled below */ }
+  } else if (msg.username) {
+    const name = String(msg.username).toLowerCase();
+    user = client.users.cache.find(u => [u.username, u.globalName].some(n => n && n.toLowerCase() === name)) || null;
+  } else throw new Error('userId or username required');
+  if (!user) throw new Error('User not found');
+  return userData(user);
+}
+
+// getMember: by user id (fetched if not cached), else by nickname / display name / username within the guild
+async function findMember(msg, auth) {
+  const guild = resolveGuild(msg, auth);
+  let member = null;
+  if (msg.userId) {
+    member = guild.members.cache.get(String(msg.userId)) || null;
+    if (!member) {
+      try { member = await guild.members.fetch(String(msg.userId)); } catch (e) { /* handled below */ }
+    }
+  } else if (msg.name) {
+    const name = String(msg.name).toLowerCase();
+    member = guild.members.cache.find(mb => memberNames(mb).includes(name)) || null;
+  } else throw new Error('userId or name required');
+  if (!member) throw new Error('Member not found');
+  return memberData(member);
+}
+
+// listMembers: one page of a guild's cached members in id order. Page forwards with `after`; `query` keeps members
+// with a name containing it.
+function listMembers(msg, auth) {
+  const guild = resolveGuild(msg, auth);
+  const limit = Math.max(1, Math.min(MEMBERS_PAGE_MAX, Math.floor(Number(msg.limit) || 50)));
+  const query = msg.query ? String(msg.query).toLowerCase() : null;
+  const after = msg.after ? String(msg.after) : null;
+  const all = Array.from(guild.members.cache.values())
+    .filter(mb => !query || memberNames(mb).some(n => n.includes(query)))
+    .sort((a, b) => compareSnowflakes(a.id, b.id));
+  const rest = after ? all.filter(mb => compareSnowflakes(mb.id, after) > 0) : all;
+  const members = rest.slice(0, limit).map(memberData);
+  return {
+    guildId: guild.id,
+    members,
+    total: all.length,
+    // cursor for the next page; null when this was the last one
+    after: rest.length > limit ? members[members.length - 1].id : null
+  };
+}
+
+// Worth retrying: rate limits, Discord server errors and network trouble. Everything else (unknown channel,
+// missing permissions, bad input) would fail the same way again.
+function isTransientFailure(e) {
+  if (!e) return false;
+  const status = Number(e.httpStatus || e.status || 0);
+  if (status === 429 || status >= 500) return true;
+  if (TRANSIENT_ERROR_CODES.includes(e.code)) return true;
+  return e.name === 'AbortError' || /socket hang up|timed? ?out/i.test(String(e.message || ''));
+}
+
+// Uploads: msg.files = [{ name, data, contentType? }] where data is a data: URL or plain base64.
+// Throws an Error whose message is the ack error code and whose .details go into the ack.
+function requestError(code, details) {
+  const err = new Error(code);
+  err.details = details;
+  return err;
+}
+
+function decodeFiles(files) {
+  if (files === undefined || files === null) return [];
+  if (!Array.isArray(files)) throw requestError('bad-files', { reason: 'files must be an array' });
+  if (files.length > MAX_UPLOAD_FILES) throw requestError('too-many-files', { limit: MAX_UPLOAD_FILES });
+  let total = 0;
+  return files.map((f, i) => {
+    const name = f && f.name ? path.basename(String(f.name)) : `file${i + 1}`;
+    let data = f && typeof f.data === 'string' ? f.data : '';
+    const dataUrl = /^data:([^;,]*)(;base64)?,/.exec(data);
+    if (dataUrl) {
+      if (!dataUrl[2]) throw requestError('bad-file-data', { file: name, reason: 'data: URL must be base64' });
+      data = data.slice(dataUrl[0].length);
+    }
+    if (!data || !/^[A-Za-z0-9+/=\s_-]+$/.test(data)) throw requestError('bad-file-data', { file: name });
+    // check the decoded size before allocating it
+    const approxBytes = Math.floor(data.replace(/\s/g, '').length * 3 / 4);
+    if (approxBytes > MAX_UPLOAD_BYTES + 2) throw requestError('file-too-large', { file: name, size: approxBytes, limit: MAX_UPLOAD_BYTES });
+    const buf = Buffer.from(data, 'base64');
+    if (buf.length > MAX_UPLOAD_BYTES) throw requestError('file-too-large', { file: name, size: buf.length, limit: MAX_UPLOAD_BYTES });
+    total += buf.length;
+    if (total > MAX_UPLOAD_TOTAL_BYTES) throw requestError('upload-too-large', { size: total, limit: MAX_UPLOAD_TOTAL_BYTES });
+    return { attachment: buf, name };
+  });
+}
+
+// Outgoing embeds: msg.embeds = [{ title, description, url, color (number or '#rrggbb'), timestamp, image, thumbnail,
+// author: { name, url, iconUrl }, footer: { text, iconUrl }, fields: [{ name, value, inline }] }] (image/thumbnail: url or { url }).
+// Returns discord.js embed options; throws requestError('bad-embed' | 'too-many-embeds' | 'embed-too-long' | ...).
+function checkLength(value, limit, where) {
+  const text = String(value);
+  if (text.length > limit) throw requestError('embed-too-long', { ...where, length: text.length, limit });
+  return text;
+}
+
+function embedUrl(value, where) {
+  const url = typeof value === 'string' ? value : value && value.url;
+  if (!url) return undefined;
+  if (!/^(https?:\/\/|attachment:\/\/)\S+$/.test(String(url))) throw requestError('bad-embed', { ...where, reason: 'url must be http(s):// or attachment://' });
+  return String(url);
+}
+
+function embedColor(value, where) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = typeof value === 'number' ? value : parseInt(String(value).replace(/^#|^0x/i, ''), 16);
+  if (!Number.isInteger(n) || n < 0 || n > 0xFFFFFF || (typeof value === 'string' && !/^(#|0x)?[0-9a-f]{1,6}$/i.test(value))) {
+    throw requestError('bad-embed', { ...where, reason: 'color must be 0-16777215 or #rrggbb' });
+  }
+  return n;
+}
+
+function normalizeEmbeds(embeds) {
+  if (embeds === undefined || embeds === null) return [];
+  if (!Array.isArray(embeds)) throw requestError('bad-embed', { reason: 'embeds must be an array' });
+  if (embeds.length > EMBED_LIMITS.embeds) throw requestError('too-many-embeds', { limit: EMBED_LIMITS.embeds });
+  let total = 0;
+  const counted = (text) => { total += text.length; return text; };
+  const out = embeds.map((e, embed) => {
+    if (!e || typeof e !== 'object') throw requestError('bad-embed', { embed, reason: 'embed must be an object' });
+    const o = {};
+    if (e.title) o.title = counted(checkLength(e.title, EMBED_LIMITS.title, { embed, field: 'title' }));
+    if (e.description) o.description = counted(checkLength(e.description, EMBED_LIMITS.description, { embed, field: 'description' }));
+    if (e.url) o.url = embedUrl(e.url, { embed, field: 'url' });
+    const color = embedColor(e.color, { embed, field: 'color' });
+    if (color !== undefined) o.color = color;
+    if (e.timestamp) {
+      const ts = new Date(e.timestamp);
+      if (isNaN(ts.getTime())) throw requestError('bad-embed', { embed, field: 'timestamp', reason: 'not a date' });
+      o.timestamp = ts;
+    }
+    if (e.image) o.image = { url: embedUrl(e.image, { embed, field: 'image' }) };
+    if (e.thumbnail) o.thumbnail = { url: embedUrl(e.thumbnail, { embed, field: 'thumbnail' }) };
+    if (e.author && e.author.name) {
+      o.author = { name: counted(checkLength(e.author.name, EMBED_LIMITS.author, { embed, field: 'author' })) };
+      if (e.author.url) o.author.url = embedUrl(e.author.url, { embed, field: 'author.url' });
+      if (e.author.iconUrl) o.author.iconURL = embedUrl(e.author.iconUrl, { embed, field: 'author.iconUrl' });
+    }
+    if (e.footer && e.footer.text) {
+      o.footer = { text: counted(checkLength(e.footer.text, EMBED_LIMITS.footer, { embed, field: 'footer' })) };
+      if (e.footer.iconUrl) o.footer.iconURL = embedUrl(e.footer.iconUrl, { embed, field: 'footer.iconUrl' });
+    }
+    if (e.fields !== undefined) {
+      if (!Array.isArray(e.fields)) throw requestError('bad-embed', { embed, field: 'fields', reason: 'fields must be an array' });
+      if (e.fields.length > EMBED_LIMITS.fields) throw requestError('too-many-fields', { embed, limit: EMBED_LIMITS.fields });
+      o.fields = e.fields.map((f, i) => {
+        if (!f || !String(f.name || '').trim() || !String(f.value || '').trim()) {
+          throw requestError('bad-embed', { embed, field: `fields[${i}]`, reason: 'fields need a name and a value' });
+        }
+        return {
+          name: counted(checkLength(f.name, EMBED_LIMITS.fieldName, { embed, field: `fields[${i}].name` })),
+          value: counted(checkLength(f.value, EMBED_LIMITS.fieldValue, { embed, field: `fields[${i}].value` })),
+          inline: !!f.inline
+        };
+      });
+    }
+    if (!o.title && !o.description && !o.image && !o.thumbnail && !o.author && !o.footer && !(o.fields && o.fields.length)) {
+      throw requestError('bad-embed', { embed, reason: 'embed is empty' });
+    }
+    return o;
+  });
+  if (total > EMBED_LIMITS.total) throw requestError('embeds-too-long', { length: total, limit: EMBED_LIMITS.total });
+  return out;
+}
+
+// Guild (by id, else name) and channel (by id, else name) of a send request, from the client's cache
+function findNamedChannel(msg) {
+  let guild = null;
+  if (msg.guildId) guild = client.guilds.cache.get(String(msg.guildId)) || null;
+  if (!guild && msg.guildName) guild = client.guilds.cache.find(g => g.name === msg.guildName || g.id === msg.guildName) || null;
+  if (!guild) return { guild: null, channel: null };
+  let channel = msg.channelId ? guild.channels.cache.get(String(msg.channelId)) : null;
+  if (!channel && msg.channelName) {
+    channel = guild.channels.cache.find(c => (c.name === msg.channelName || c.id === msg.channelName) && isTextLikeChannel(c));
+  }
+  return { guild, channel: channel || null };
+}
+
+// Sending (idempotent by ref). Called when discordConnected is true.
+// auth: the sending key; the resolved channel must be inside its allow-lists.
+// origin: socket to ack, or null when the caller (processQueue) acks itself.
+// rateLimit: limiter state to report back in the ack.
+async function handleSendRequest(msg, auth = OPEN_AUTH, origin = null, rateLimit = undefined) {
+  const ref = msg.ref ? String(msg.ref) : null;
+
+  if (ref && isRefProcessed(ref)) {
+    logger.info('send skipped (ref already processed)', { ref });
+    metrics.sends.skipped++;
+    reply(origin, { type: 'ack', ok: true, ref, skipped: true, rateLimit });
+    return { ok: true, ref, skipped: true };
+  }
+
+  let targetChannel = null;
+  try {
+    if (msg.type === 'sendDirectMessage') {
+      if (!canUseDms(auth)) throw new Error(DMS_ENABLED ? 'forbidden' : 'dms-disabled');
+      targetChannel = await resolveDmChannel(msg);
+    }
+
+    // Try by channelId
+    if (!targetChannel && msg.channelId) {
+      try { targetChannel = await client.channels.fetch(String(msg.channelId)); } catch (e) { logger.debug('channel fetch by id failed', { ref, channelId: String(msg.channelId), error: errText(e) }); }
+    }
+
+    // otherwise try to resolve via guild
     if (!targetChannel) {
-      let guild = null;
-      if (msg.guildId) {
-        guild = client.guilds.cache.get(String(msg.guildId)) || null;
-      }
-      if (!guild && msg.guildName) {
-        guild = client.guilds.cache.find(g => g.name === msg.guildName || g.id === msg.guildName) || null;
-      }
+      const { guild } = findNamedChannel(msg);
       if (!guild) throw new Error('Guild not found');
-
       try { await guild.channels.fetch(); } catch (e) { /* ignore */ }
-      if (msg.channelId) targetChannel = guild.channels.cache.get(String(msg.channelId));
-      if (!targetChannel && msg.channelName) {
-        targetChannel = guild.channels.cache.find(c => (c.name === msg.channelName || c.id === msg.channelName) && isTextLikeChannel(c));
-      }
+      targetChannel = findNamedChannel(msg).channel;
+    }
+
+    const forum = isForumChannel(targetChannel);
+    if (!targetChannel || (!forum && !('send' in targetChannel))) throw new Error('Channel not found or not sendable');
+    if (!hasScope(auth, 'send') || !canAccessChannel(auth, targetChannel)) {
+      throw new Error('forbidden');
+    }
+    if (msg.type === 'createForumPost' && !forum) throw new Error('not-a-forum');
+    if (forum && !String(msg.title || '').trim()) throw new Error('title required for forum posts');
+
+    const options = { content: String(msg.content || '') };
+    const files = decodeFiles(msg.files);
+    if (files.length) options.files = files;
+    const embeds = normalizeEmbeds(msg.embeds);
+    if (embeds.length) options.embeds = embeds;
+    if (!options.content && !files.length && !embeds.length) throw new Error('empty-message');
+    if (msg.replyTo) {
+      options.reply = { messageReference: String(msg.replyTo), failIfNotExists: false };
+      options.allowedMentions = { parse: ['users', 'roles', 'everyone'], repliedUser: msg.mentionOnReply !== false };
     }
+    let sent;
+    let post = null;
+    if (forum) {
+      // a forum post is a new thread whose starter message shares its id
+      post = await targetChannel.threads.create({ name: String(msg.title).trim().slice(0, 100), message: options });
+      sent = { id: post.id, channelId: post.id, createdTimestamp: post.createdTimestamp };
+    } else {
+      sent = await targetChannel.send(options);
+    }
+
+    if (ref) {
+      markRefProcessed(ref);
+    }
+
+    const sentInfo = {
+      messageId: sent && sent.id ? sent.id : null,
+      channelId: sent && sent.channelId ? sent.channelId : targetChannel.id,
+      timestamp: sent && sent.createdTimestamp ? sent.createdTimestamp : Date.now()
+    };
+    if (post) sentInfo.threadId = post.id;
+    reply(origin, { type: 'ack', ok: true, ref, ...sentInfo, rateLimit });
+    metrics.sends.ok++;
+    logger.info('send ok', { ref, channelId: targetChannel.id, messageId: sentInfo.messageId });
+    return { ok: true, ref, ...sentInfo };
+  } catch (e) {
+    const errMsg = e && e.message ? e.message : String(e);
+    const transient = isTransientFailure(e);
+    metrics.sends.failed++;
+    logger.warn('send failed', { ref, error: errMsg, transient });
+    // transient failures are left to the caller, which queues them for a retry
+    if (!transient) reply(origin, { type: 'ack', ok: false, ref, error: errMsg, ...(e && e.details), rateLimit });
+    return { ok: false, error: errMsg, ref, transient, ...(e && e.details) };
+  }
+}
 
-    if (!targetChannel || !('send' in targetChannel)) throw new Error('Channel not found or not sendable');
+// Edit / delete / react on an existing message (idempotent by ref, acked like sends).
+// An action may resolve with extra fields for the ack.
+const MESSAGE_ACTIONS = {
+  editMessage: async (m, msg) => { await m.edit(String(msg.content || '')); },
+  deleteMessage: async m => { await m.delete(); },
+  addReaction: async (m, msg) => { await m.react(String(msg.emoji || '')); },
+  createThread: async (m, msg) => {
+    const options = { name: String(msg.name || '').trim().slice(0, 100) };
+    if (msg.autoArchiveDuration) options.autoArchiveDuration = Number(msg.autoArchiveDuration);
+    const thread = await m.startThread(options);
+    return { threadId: thread.id, threadName: thread.name };
+  }
+};
+
+async function handleMessageAction(msg, auth = OPEN_AUTH, origin = null, rateLimit = undefined) {
+  const action = msg.type;
+  const ref = msg.ref ? String(msg.ref) : null;
+
+  if (ref && isRefProcessed(ref)) {
+    reply(origin, { type: 'ack', ok: true, ref, action, skipped: true, rateLimit });
+    return { ok: true, skipped: true };
+  }
+
+  try {
+    if (!state.discordConnected) throw new Error('not-connected');
+    if (!msg.channelId || !msg.messageId) throw new Error('channelId and messageId required');
+    if (action === 'addReaction' && !msg.emoji) throw new Error('emoji required');
+    if (action === 'createThread' && !String(msg.name || '').trim()) throw new Error('name required');
 
-    await targetChannel.send(String(msg.content || ''));
+    let channel = null;
+    try { channel = await client.channels.fetch(String(msg.channelId)); } catch (e) { /* handled below */ }
+    if (!channel || !channel.messages) throw new Error('Channel not found');
+    if (!hasScope(auth, 'send') || !canAccessChannel(auth, channel)) throw new Error('forbidden');
+
+    const target = await channel.messages.fetch(String(msg.messageId));
+    const extra = await MESSAGE_ACTIONS[action](target, msg);
 
     if (ref) {
-      state.processedRefs.add(ref);
-      saveStateToDiskDebounced();
+      markRefProcessed(ref);
     }
+    reply(origin, { type: 'ack', ok: true, ref, action, messageId: String(msg.messageId), ...extra, rateLimit });
+    logger.info('message action ok', { action, ref, messageId: String(msg.messageId) });
+    return { ok: true, ref };
+  } catch (e) {
+    const errMsg = e && e.message ? e.message : String(e);
+    logger.warn('message action failed', { action, ref, error: errMsg });
+    reply(origin, { type: 'ack', ok: false, ref, action, error: errMsg, rateLimit });
+    return { ok: false, error: errMsg, ref };
+  }
+}
+
+// Join / archive / unarchive a thread by threadId (same ref + ack handling as message actions)
+const THREAD_ACTIONS = {
+  joinThread: t => t.join(),
+  archiveThread: (t, msg) => t.setArchived(msg.archived !== false)
+};
+
+async function handleThreadAction(msg, auth = OPEN_AUTH, origin = null, rateLimit = undefined) {
+  const action = msg.type;
+  const ref = msg.ref ? String(msg.ref) : null;
+
+  if (ref && isRefProcessed(ref)) {
+    reply(origin, { type: 'ack', ok: true, ref, action, skipped: true, rateLimit });
+    return { ok: true, skipped: true };
+  }
 
-    broadcast({ type: 'ack', ok: true, ref });
-    log('handleSendRequest: sent message to', targetChannel.id, 'ref=', ref);
+  try {
+    if (!state.discordConnected) throw new Error('not-connected');
+    if (!msg.threadId) throw new Error('threadId required');
+
+    let thread = null;
+    try { thread = await client.channels.fetch(String(msg.threadId)); } catch (e) { /* handled below */ }
+    if (!thread || !isThreadChannel(thread)) throw new Error('Thread not found');
+    if (!hasScope(auth, 'send') || !canAccessChannel(auth, thread)) throw new Error('forbidden');
+
+    await THREAD_ACTIONS[action](thread, msg);
+
+    if (ref) {
+      markRefProcessed(ref);
+    }
+    reply(origin, { type: 'ack', ok: true, ref, action, threadId: thread.id, rateLimit });
+    logger.info('thread action ok', { action, ref, threadId: thread.id });
     return { ok: true, ref };
   } catch (e) {
     const errMsg = e && e.message ? e.message : String(e);
-    log('handleSendRequest error', errMsg, 'ref=', ref);
-    broadcast({ type: 'ack', ok: false, ref, error: errMsg });
+    logger.warn('thread action failed', { action, ref, error: errMsg });
+    reply(origin, { type: 'ack', ok: false, ref, action, error: errMsg, rateLimit });
     return { ok: false, error: errMsg, ref };
   }
 }
 
+// Buckets a queued send is paced by: its owner's (the socket that sent it, else its key's), its channel's and the global one
+function queuedBuckets(item) {
+  const ref = item.req.ref ? String(item.req.ref) : null;
+  const owner = ref ? queuedRefOwners.get(ref) : null;
+  const socket = owner && owner._session ? owner._session.socket : owner; // the owner's session may have reconnected
+  const own = socket && socket.readyState === WebSocket.OPEN && socket._bucket ? socket._bucket : keyBucket(item.keyId);
+  return [own, channelBucket(channelKeyOf(item.req)), globalBucket];
+}
+
+// ms until a queued send may go (0 = now): its retry backoff, else its buckets. Sends that will be skipped or
+// dropped without reaching Discord don't wait.
+function queuedWaitMs(item, now) {
+  if (item.retryAt && item.retryAt > now) return item.retryAt - now;
+  if ((item.req.ref && isRefProcessed(String(item.req.ref))) || !authForId(item.keyId)) return 0;
+  return Math.max(...queuedBuckets(item).map(bucketWaitMs));
+}
+
+// Whether queued sends would be overtaken by `msg`: ones to the same channel, or from the same socket (session)
+// or, for HTTP requests, the same key
+function hasQueuedAhead(msg, auth, origin) {
+  const channelKey = channelKeyOf(msg);
+  const session = origin ? origin._session : null;
+  return state.queue.some(q => {
+    if (channelKeyOf(q.req) === channelKey) return true;
+    const owner = q.req.ref ? queuedRefOwners.get(String(q.req.ref)) : null;
+    if (!origin) return !owner && q.keyId === auth.id;
+    return !!owner && (owner === origin || (!!session && owner._session === session));
+  });
+}
+
 // Queue processing (used only when discordConnected becomes true or to retry)
 async function processQueue() {
-  if (processingQueue) { log('processQueue already running — skip'); return; }
+  if (processingQueue) { logger.debug('queue already being processed — skip'); return; }
   processingQueue = true;
-  log('processQueue starting. queueLen=', state.queue.length);
+  logger.info('queue processing started', { queueLength: state.queue.length });
 
   try {
     while (state.queue.length > 0 && state.discordConnected) {
-      const item = state.queue.shift();
+      // first item that may go now, so a busy channel or key doesn't hold back the rest; if none, wait for the earliest
+      const now = Date.now();
+      let index = -1;
+      let waitMs = Infinity;
+      for (let i = 0; i < state.queue.length && index === -1; i++) {
+        const wait = queuedWaitMs(state.queue[i], now);
+        if (wait === 0) index = i;
+        else waitMs = Math.min(waitMs, wait);
+      }
+      if (index === -1) {
+        await sleep(Math.max(10, Math.min(250, waitMs)));
+        continue;
+      }
+      const item = state.queue.splice(index, 1)[0];
       item.tries = item.tries ? item.tries : 0;
       const msg = item.req;
       const ref = msg.ref ? String(msg.ref) : null;
+      const owner = ref ? queuedRefOwners.get(ref) : null;
 
-      if (ref && state.processedRefs.has(ref)) {
-        log('processQueue skipping already processed ref', ref);
-        broadcast({ type: 'ack', ok: true, ref, skipped: true });
+      if (ref && isRefProcessed(ref)) {
+        metrics.sends.skipped++;
+        logger.info('queued send skipped (ref already processed)', { ref });
+        reply(owner, { type: 'ack', ok: true, ref, skipped: true });
+        queuedRefOwners.delete(ref);
         continue;
       }
 
       try {
-        const res = await handleSendRequest(msg);
+        const auth = authForId(item.keyId);
+        if (!auth) {
+          logger.warn('queued send dropped (key no longer exists)', { ref, keyId: item.keyId });
+          reply(owner, { type: 'ack', ok: false, ref, error: 'forbidden' });
+          queuedRefOwners.delete(ref);
+          continue;
+        }
+        // pace queued sends through the same limiter as live ones (queuedWaitMs said there are tokens)
+        const rateLimit = takeTokens(queuedBuckets(item));
+        const res = await handleSendRequest(msg, auth);
         if (res.ok) {
-          await sleep(150);
+          reply(owner, { type: 'ack', ok: true, ref, messageId: res.messageId, channelId: res.channelId, timestamp: res.timestamp, rateLimit });
+          queuedRefOwners.delete(ref);
           continue;
+        }
+        item.tries++;
+        item.lastError = res.error;
+        if (res.transient && item.tries < MAX_SEND_RETRIES) {
+          const backoff = BASE_BACKOFF_MS * Math.pow(2, Math.min(6, item.tries));
+          metrics.retries++;
+          logger.warn('send retry', { ref, tries: item.tries, backoffMs: backoff, error: res.error });
+          item.retryAt = Date.now() + backoff;
+          state.queue.push(item);
         } else {
-          item.tries++;
-          if (item.tries < MAX_SEND_RETRIES) {
-            const backoff = BASE_BACKOFF_MS * Math.pow(2, Math.min(6, item.tries));
-            log('processQueue requeueing ref=', ref, 'tries=', item.tries, 'backoff=', backoff);
-            item.queuedAt = Date.now();
-            state.queue.push(item);
-            await sleep(backoff);
-          } else {
-            log('processQueue dropping item after retries ref=', ref);
-            broadcast({ type: 'ack', ok: false, ref, error: 'max-retries' });
-          }
+          const reason = res.transient ? 'max-retries' : 'permanent';
+          logger.error('send dead-lettered', { ref, tries: item.tries, reason, error: res.error });
+          addDeadLetter(item, reason, res.error);
+          reply(owner, { type: 'ack', ok: false, ref, error: res.transient ? 'max-retries' : res.error, lastError: res.error, deadLettered: true });
+          queuedRefOwners.delete(ref);
         }
       } catch (e) {
-        log('processQueue unexpected error', e && e.message ? e.message : e);
+        logger.error('queue processing error', { ref, error: errText(e) });
       }
     }
   } finally {
     processingQueue = false;
-    log('processQueue finished; remaining queueLen=', state.queue.length);
-    saveStateToDiskDebounced();
+    logger.info('queue processing finished', { queueLength: state.queue.length });
+    saveStateToDiskDebounced('queue');
   }
 }
 
-// WebSocket server and heartbeat logic
-const wss = new WebSocket.Server({ port: PORT }, () => log('WebSocket listening on 0.0.0.0:' + PORT));
+// Park a send that failed for good; the oldest dead letters go once there are more than MAX_DEAD_LETTERS
+function addDeadLetter(item, reason, error) {
+  const { retryAt, lastError, ...rest } = item;
+  state.deadLetters.push({ ...rest, failedAt: Date.now(), error: error || null, reason });
+  if (state.deadLetters.length > MAX_DEAD_LETTERS) state.deadLetters.splice(0, state.deadLetters.length - MAX_DEAD_LETTERS);
+  saveStateToDiskDebounced('deadLetters');
+}
 
-loadCacheFromDisk();
+// Queue a send for processQueue (not connected yet, or rate-limited); a ref already queued isn't added twice
+// owner: socket to ack once the queued send goes out (null for HTTP requests)
+// retry: { tries, lastError } of a first attempt that failed transiently (it waits out a backoff first)
+function enqueueSend(owner, msg, auth, retry = null) {
+  if (owner) queuedRefOwners.set(String(msg.ref), owner);
+  if (state.queue.find(q => q.req && q.req.ref === msg.ref)) {
+    logger.debug('send already queued', { ref: msg.ref });
+    return;
+  }
+  const item = { req: msg, tries: 0, queuedAt: Date.now(), keyId: auth.id };
+  if (retry) Object.assign(item, retry, { retryAt: Date.now() + BASE_BACKOFF_MS * Math.pow(2, Math.min(6, retry.tries)) });
+  state.queue.push(item);
+  metrics.sendsQueued++;
+  saveStateToDiskDebounced('queue');
+  logger.info('send queued', { ref: msg.ref, keyId: auth.id, queueLength: state.queue.length });
+}
+
+// queue / dead-letter entries without the message bodies; keys other than admins only see their own
+function itemSummary(q, admin) {
+  return {
+    ref: q.req.ref || null,
+    type: q.req.type || 'sendMessage',
+    channelId: q.req.channelId || null,
+    channelName: q.req.channelName || null,
+    guildId: q.req.guildId || null,
+    tries: q.tries || 0,
+    queuedAt: q.queuedAt || null,
+    ...(admin ? { keyId: q.keyId || null } : {})
+  };
+}
+
+function ownsItem(auth, q) { return hasScope(auth, 'admin') || q.keyId === auth.id; }
+
+function queueSummary(auth) {
+  const admin = hasScope(auth, 'admin');
+  const items = state.queue
+    .filter(q => ownsItem(auth, q))
+    .map(q => ({ ...itemSummary(q, admin), retryAt: q.retryAt || null, lastError: q.lastError || null }));
+  return { length: items.length, items };
+}
+
+function deadLetterSummary(auth) {
+  const admin = hasScope(auth, 'admin');
+  const items = state.deadLetters
+    .filter(q => ownsItem(auth, q))
+    .map(q => ({ ...itemSummary(q, admin), failedAt: q.failedAt || null, reason: q.reason || null, error: q.error || null }));
+  return { length: items.length, items };
+}
+
+// Take queued sends out (cancelQueued / purgeQueue); whoever is waiting on them gets a `cancelled` ack
+function cancelQueuedItems(items) {
+  state.queue = state.queue.filter(q => !items.includes(q));
+  for (const q of items) {
+    const ref = q.req.ref ? String(q.req.ref) : null;
+    reply(ref ? queuedRefOwners.get(ref) : null, { type: 'ack', ok: false, ref, error: 'cancelled' });
+    queuedRefOwners.delete(ref);
+  }
+  saveStateToDiskDebounced('queue');
+}
+
+// Queue management over the socket: request type -> (msg, auth, ws) => reply (sent with the requestId).
+// Listing needs the read scope, changes the send scope; keys other than admins only see and touch their own sends.
+const QUEUE_REQUESTS = {
+  listQueue: (msg, auth) => {
+    if (!hasScope(auth, 'read')) throw new Error('forbidden');
+    return { type: 'queue', ...queueSummary(auth) };
+  },
+  listDeadLetters: (msg, auth) => {
+    if (!hasScope(auth, 'read')) throw new Error('forbidden');
+    return { type: 'deadLetters', ...deadLetterSummary(auth) };
+  },
+  retryDeadLetter: (msg, auth, ws) => {
+    if (!hasScope(auth, 'send')) throw new Error('forbidden');
+    const ref = String(msg.ref || '');
+    const item = state.deadLetters.find(q => String(q.req.ref) === ref && ownsItem(auth, q));
+    if (!item) throw new Error('not-found');
+    if (state.queue.length >= MAX_QUEUE_LENGTH) throw new Error('queue-full');
+    state.deadLetters = state.deadLetters.filter(q => q !== item);
+    saveStateToDiskDebounced('deadLetters');
+    // queued under the key that first sent it, acked to whoever asked for the retry
+    enqueueSend(ws, item.req, { id: item.keyId });
+    if (state.discordConnected) processQueue().catch(e => logger.error('queue processing error', { error: errText(e) }));
+    return { type: 'queueUpdated', action: msg.type, ref, queueLength: state.queue.length };
+  },
+  cancelQueued: (msg, auth) => {
+    if (!hasScope(auth, 'send')) throw new Error('forbidden');
+    const ref = String(msg.ref || '');
+    const item = state.queue.find(q => String(q.req.ref) === ref && ownsItem(auth, q));
+    if (!item) throw new Error('not-found');
+    cancelQueuedItems([item]);
+    return { type: 'queueUpdated', action: msg.type, ref, queueLength: state.queue.length };
+  },
+  purgeQueue: (msg, auth) => {
+    if (!hasScope(auth, 'send')) throw new Error('forbidden');
+    const items = state.queue.filter(q => ownsItem(auth, q));
+    cancelQueuedItems(items);
+    return { type: 'queueUpdated', action: msg.type, removed: items.length, queueLength: state.queue.length };
+  }
+};
+
+// User and member lookups (read scope): request type -> async (msg, auth) => reply (sent with the requestId)
+const MEMBER_REQUESTS = {
+  getUser: async (msg, auth) => ({ type: 'user', user: await findUser(msg, auth) }),
+  getMember: async (msg, auth) => ({ type: 'member', member: await findMember(msg, auth) }),
+  listMembers: async (msg, auth) => ({ type: 'members', ...listMembers(msg, auth) })
+};
+
+// Checks, rate-limits and sends (or queues) one of SEND_REQUESTS for the WebSocket and HTTP sides.
+// The first ack goes to `origin` (if any) and is returned; bucket is the caller's own rate-limit bucket.
+async function submitSend(msg, auth, bucket, origin = null) {
+  if (!msg.ref) msg.ref = Date.now().toString();
+  const fail = fields => {
+    const ack = { type: 'ack', ok: false, ref: msg.ref, ...fields };
+    if (!ack.queued) metrics.sends.rejected++;
+    reply(origin, ack);
+    return ack;
+  };
+  if (!hasScope(auth, 'send')) return fail({ error: 'forbidden' });
+  if (msg.type === 'sendDirectMessage') {
+    if (!canUseDms(auth)) return fail({ error: DMS_ENABLED ? 'forbidden' : 'dms-disabled' });
+    if (!msg.userId && !msg.username) return fail({ error: 'userId or username required' });
+  }
+  // reject bad/oversized files and embeds up front, before anything gets queued
+  try { decodeFiles(msg.files); normalizeEmbeds(msg.embeds); } catch (e) {
+    return fail({ error: e.message, ...e.details });
+  }
+  if (state.queue.length >= MAX_QUEUE_LENGTH && !state.queue.find(q => q.req && q.req.ref === msg.ref)) {
+    return fail({ error: 'queue-full' });
+  }
+  // queue only when discord is not connected (or the limiter says wait)
+  if (!state.discordConnected) {
+    enqueueSend(origin, msg, auth);
+    return fail({ queued: true, error: 'queued-not-connected' });
+  }
+  // earlier sends from this sender or to this channel that are still queued go first
+  if (hasQueuedAhead(msg, auth, origin)) {
+    enqueueSend(origin, msg, auth);
+    const ack = fail({ queued: true, error: 'queued-behind' });
+    processQueue().catch(e => logger.error('queue processing error', { error: errText(e) }));
+    return ack;
+  }
+  const rateLimit = takeTokens([bucket, channelBucket(channelKeyOf(msg)), globalBucket]);
+  if (rateLimit.ok) {
+    const { transient, ...res } = await handleSendRequest(msg, auth, origin, rateLimit);
+    if (res.ok || !transient) return { type: 'ack', ...res, rateLimit };
+    metrics.retries++;
+    enqueueSend(origin, msg, auth, { tries: 1, lastError: res.error });
+    const ack = fail({ queued: true, error: 'queued-retry', lastError: res.error, rateLimit });
+    processQueue().catch(e => logger.error('queue processing error', { error: errText(e) }));
+    return ack;
+  }
+  if (RATE_LIMIT_MODE === 'reject') return fail({ error: 'rate-limited', rateLimit });
+  enqueueSend(origin, msg, auth);
+  const ack = fail({ queued: true, error: 'queued-rate-limited', rateLimit });
+  processQueue().catch(e => logger.error('queue processing error', { error: errText(e) }));
+  return ack;
+}
+
+// Current counters and gauges (getStats / GET /metrics)
+function statsSnapshot() {
+  return {
+    uptimeSec: Math.round((Date.now() - startedAt) / 1000),
+    discordConnected: !!state.discordConnected,
+    cacheReady: !!state.cacheReady,
+    sockets: sockets.length,
+    authenticatedSockets: sockets.filter(ws => ws._auth).length,
+    queueLength: state.queue.length,
+    deadLetters: state.deadLetters.length,
+    eventsForwarded: { ...metrics.eventsForwarded },
+    sends: { ...metrics.sends },
+    sendsQueued: metrics.sendsQueued,
+    retries: metrics.retries,
+    heartbeatTerminations: metrics.heartbeatTerminations,
+    cacheBuilds: metrics.cacheBuilds,
+    lastCacheBuildMs: metrics.lastCacheBuildMs
+  };
+}
+
+// Prometheus text exposition (format 0.0.4) of statsSnapshot()
+function prometheusText() {
+  const s = statsSnapshot();
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push('# HELP disclink_' + name + ' ' + help, '# TYPE disclink_' + name + ' ' + type);
+    for (const [labels, value] of samples) lines.push('disclink_' + name + labels + ' ' + value);
+  };
+  const label = (key, value) => '{' + key + '="' + String(value).replace(/[\\"\n]/g, c => (c === '\n' ? '\\n' : '\\' + c)) + '"}';
+  metric('uptime_seconds', 'gauge', 'Seconds since the bridge started.', [['', s.uptimeSec]]);
+  metric('discord_connected', 'gauge', '1 while the Discord client is ready.', [['', s.discordConnected ? 1 : 0]]);
+  metric('cache_ready', 'gauge', '1 once the server/channel cache is available.', [['', s.cacheReady ? 1 : 0]]);
+  metric('sockets', 'gauge', 'Open WebSocket connections.', [['', s.sockets]]);
+  metric('queue_length', 'gauge', 'Sends waiting in the queue.', [['', s.queueLength]]);
+  metric('dead_letters', 'gauge', 'Sends that failed for good and were kept for a retry.', [['', s.deadLetters]]);
+  metric('events_forwarded_total', 'counter', 'Routed events broadcast to clients, by type.',
+    ROUTED_EVENTS.map(type => [label('type', type), s.eventsForwarded[type] || 0]));
+  metric('sends_total', 'counter', 'Send requests by result.',
+    Object.keys(s.sends).map(result => [label('result', result), s.sends[result]]));
+  metric('sends_queued_total', 'counter', 'Sends put on the queue.', [['', s.sendsQueued]]);
+  metric('send_retries_total', 'counter', 'Queued sends retried after a failure.', [['', s.retries]]);
+  metric('heartbeat_terminations_total', 'counter', 'Sockets closed for missing heartbeats.', [['', s.heartbeatTerminations]]);
+  metric('cache_builds_total', 'counter', 'Completed full cache builds.', [['', s.cacheBuilds]]);
+  if (s.lastCacheBuildMs !== null) {
+    metric('cache_build_seconds', 'gauge', 'Duration of the last full cache build.', [['', s.lastCacheBuildMs / 1000]]);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Initial status & cache, sent once a socket is authenticated. A resuming client's missed events are replayed here,
+// in the same tick the socket starts getting live ones, so they always arrive first and in order.
+function sendWelcome(ws) {
+  const session = attachSession(ws);
+  safeSend(ws, { type: 'bridgeStatus', bridgeConnected: true, discordReady: !!state.discordConnected, seq: eventSeq, epoch: eventEpoch, session: session.id });
+  if (ws._resume && ws._resume.seq !== null) resumeSocket(ws, ws._resume);
+  safeSend(ws, { type: 'ready', value: !!state.discordConnected });
+  if (state.servers.length > 0 && hasScope(ws._auth, 'read')) safeSend(ws, serverListFor(ws._auth));
+}
+
+// Give a welcomed socket its session: the one named in its URL if that is still kept for the same key, else a new one
+function attachSession(ws) {
+  const kept = ws._resume && ws._resume.session ? sessions.get(ws._resume.session) : null;
+  const session = kept && kept.socket._auth.id === ws._auth.id ? kept
+    : { id: crypto.randomUUID(), socket: ws, commands: ws._commands, subscriptions: ws._subscriptions, closedAt: null };
+  const previous = session.socket;
+  session.socket = ws;
+  session.closedAt = null;
+  if (previous !== ws && previous.readyState === WebSocket.OPEN) previous.close(4002, 'session-resumed');
+  ws._session = session;
+  ws._commands = session.commands;
+  ws._subscriptions = session.subscriptions;
+  sessions.set(session.id, session);
+  return session;
+}
+
+// Forget sessions closed longer than SESSION_KEEP_MS, with the queued sends whose acks they were waiting for
+function pruneSessions(now) {
+  for (const [id, session] of sessions) {
+    if (!session.closedAt || now - session.closedAt < SESSION_KEEP_MS) continue;
+    sessions.delete(id);
+    for (const [ref, owner] of queuedRefOwners) if (owner._session === session) queuedRefOwners.delete(ref);
+  }
+}
 
 // Accept connections
-wss.on('connection', (ws, req) => {
+function onConnection(ws, req) {
   ws._lastSeen = Date.now();
+  ws._auth = null;
+  ws._subscriptions = new Map();
+  ws._commands = new Map(); // prefix + name -> command
+  ws._bucket = createBucket(RATE_LIMITS.socket);
+  ws._session = null;
+  // a reconnecting client asks to resume in its URL: ?resumeSeq=<last seq>&epoch=<epoch>&session=<session id>
+  const params = new URL(req.url || '/', 'http://bridge').searchParams;
+  ws._resume = params.has('resumeSeq') || params.has('session')
+    ? { seq: params.get('resumeSeq'), epoch: params.get('epoch'), session: params.get('session') } : null;
   sockets.push(ws);
-  log('[WS] Client connected', req.socket.remoteAddress);
+  logger.info('socket connected', { remote: req.socket.remoteAddress });
 
-  // send initial status & cache
-  safeSend(ws, { type: 'bridgeStatus', bridgeConnected: true, discordReady: !!state.discordConnected });
-  safeSend(ws, { type: 'ready', value: !!state.discordConnected });
-  if (state.servers.length > 0) safeSend(ws, { type: 'serverList', servers: state.servers });
+  if (authRequired) {
+    ws._authTimer = setTimeout(() => {
+      if (!ws._auth) { logger.info('socket closed: never authenticated', { remote: req.socket.remoteAddress }); ws.close(4001, 'auth-required'); }
+    }, AUTH_TIMEOUT_MS);
+  } else {
+    ws._auth = OPEN_AUTH;
+    sendWelcome(ws);
+  }
 
   ws.on('message', async raw => {
     let msg;
@@ -410,40 +2385,162 @@ wss.on('connection', (ws, req) => {
       return;
     }
 
+    // hello/auth handshake (required first message when keys are configured)
+    if (msg.type === 'hello') {
+      const auth = authenticate(msg.key);
+      if (!auth) {
+        safeSend(ws, { type: 'authFailed', error: 'bad-key' });
+        logger.warn('socket rejected: bad key', { remote: req.socket.remoteAddress });
+        ws.close(4001, 'bad-key');
+        return;
+      }
+      const firstHello = !ws._auth || ws._auth === OPEN_AUTH;
+      ws._auth = auth;
+      clearTimeout(ws._authTimer);
+      safeSend(ws, { type: 'helloOk', client: auth.id, scopes: Array.from(auth.scopes) });
+      if (firstHello && authRequired) sendWelcome(ws);
+      logger.info('socket authenticated', { keyId: auth.id, version: msg.version ? String(msg.version) : null });
+      return;
+    }
+    if (!ws._auth) {
+      safeSend(ws, { type: 'authFailed', error: 'auth-required' });
+      ws.close(4001, 'auth-required');
+      return;
+    }
+
     // ping/pong
     if (msg.type === 'ping') { safeSend(ws, { type: 'pong', ts: Date.now() }); return; }
 
+    // queue and dead-letter management (reply goes to this socket only)
+    if (Object.prototype.hasOwnProperty.call(QUEUE_REQUESTS, msg.type)) {
+      const requestId = msg.requestId ? String(msg.requestId) : null;
+      try {
+        reply(ws, { requestId, ...QUEUE_REQUESTS[msg.type](msg, ws._auth, ws) });
+      } catch (e) {
+        reply(ws, { type: 'error', error: e.message, request: msg.type, requestId });
+      }
+      return;
+    }
+
+    // user and member lookups (reply goes to this socket only)
+    if (Object.prototype.hasOwnProperty.call(MEMBER_REQUESTS, msg.type)) {
+      const requestId = msg.requestId ? String(msg.requestId) : null;
+      try {
+        reply(ws, { requestId, ...await MEMBER_REQUESTS[msg.type](msg, ws._auth) });
+      } catch (e) {
+        reply(ws, { type: 'error', error: e.message, request: msg.type, requestId });
+      }
+      return;
+    }
+
+    // `resume` is no longer a message: replayed after the welcome, older events could arrive behind live ones, so the
+    // position goes in the connection URL instead (see sendWelcome). Clients that still send it carry on from here.
+    if (msg.type === 'resume') { safeSend(ws, { type: 'resumeFailed', reason: 'resume-in-url', seq: eventSeq, epoch: eventEpoch }); return; }
+
     // get server list (no auto-rebuild)
     if (msg.type === 'getServerList') {
-      safeSend(ws, { type: 'serverList', servers: state.servers });
+      if (!hasScope(ws._auth, 'read')) { safeSend(ws, { type: 'error', error: 'forbidden', request: msg.type }); return; }
+      safeSend(ws, serverListFor(ws._auth));
       return;
     }
 
     // manual refresh (developer action) - optional one-time rebuild
     if (msg.type === 'refreshServers' || msg.type === 'forceRefresh') {
+      if (!hasScope(ws._auth, 'admin')) { safeSend(ws, { type: 'error', error: 'forbidden', request: msg.type }); return; }
       try {
         await buildCacheOnce({progressively: true});
-      } catch (e) { log('manual refresh failed', e && e.message ? e.message : e); }
+      } catch (e) { logger.error('manual refresh failed', { error: errText(e) }); }
       return;
     }
 
-    // send message
-    if (msg.type === 'sendMessage') {
-      if (!msg.ref) msg.ref = Date.now().toString();
-      // if discord connected, try immediate send (do not queue just because cache missing)
-      if (state.discordConnected) {
-        await handleSendRequest(msg);
-      } else {
-        // queue only when discord not connected
-        if (!state.queue.find(q => q.req && q.req.ref === msg.ref)) {
-          state.queue.push({ req: msg, tries: 0, queuedAt: Date.now() });
-          safeSend(ws, { type: 'ack', ok: false, ref: msg.ref, queued: true, error: 'queued-not-connected' });
-          saveStateToDiskDebounced();
-          log('Queued send since discord not connected ref=', msg.ref);
-        } else {
-          log('Send already queued ref=', msg.ref);
-        }
+    // counters and gauges (admin)
+    if (msg.type === 'getStats') {
+      if (!hasScope(ws._auth, 'admin')) { safeSend(ws, { type: 'error', error: 'forbidden', request: msg.type }); return; }
+      reply(ws, { type: 'stats', requestId: msg.requestId ? String(msg.requestId) : null, stats: statsSnapshot() });
+      return;
+    }
+
+    // event subscriptions (narrow what this socket receives)
+    if (msg.type === 'subscribe') {
+      let sub;
+      try { sub = normalizeSubscription(msg); } catch (e) { safeSend(ws, { type: 'error', error: e.message, request: msg.type }); return; }
+      if (!ws._subscriptions.has(sub.id) && ws._subscriptions.size >= MAX_SUBSCRIPTIONS) {
+        safeSend(ws, { type: 'error', error: 'too-many-subscriptions', request: msg.type });
+        return;
       }
+      ws._subscriptions.set(sub.id, sub);
+      safeSend(ws, { type: 'subscribed', subscription: sub, count: ws._subscriptions.size });
+      return;
+    }
+    if (msg.type === 'unsubscribe') {
+      if (msg.all || !msg.id) ws._subscriptions.clear();
+      else ws._subscriptions.delete(String(msg.id));
+      safeSend(ws, { type: 'unsubscribed', id: msg.id ? String(msg.id) : null, count: ws._subscriptions.size });
+      return;
+    }
+
+    // prefix commands (delivered to this socket only)
+    if (msg.type === 'registerCommand') {
+      let command;
+      try { command = normalizeCommand(msg); } catch (e) { safeSend(ws, { type: 'error', error: e.message, request: msg.type }); return; }
+      const key = command.prefix + command.name;
+      if (!ws._commands.has(key) && ws._commands.size >= MAX_COMMANDS) {
+        safeSend(ws, { type: 'error', error: 'too-many-commands', request: msg.type });
+        return;
+      }
+      ws._commands.set(key, command);
+      safeSend(ws, { type: 'commandRegistered', command, count: ws._commands.size });
+      return;
+    }
+    if (msg.type === 'unregisterCommand') {
+      const name = msg.name ? String(msg.name).toLowerCase() : null;
+      if (msg.all || !name) ws._commands.clear();
+      else for (const [key, c] of ws._commands) if (c.name === name && (!msg.prefix || c.prefix === String(msg.prefix))) ws._commands.delete(key);
+      safeSend(ws, { type: 'commandUnregistered', name, count: ws._commands.size });
+      return;
+    }
+
+    // channel history (reply goes to this socket only)
+    if (msg.type === 'fetchHistory') {
+      const requestId = msg.requestId ? String(msg.requestId) : null;
+      try {
+        const page = await fetchHistory(msg, ws._auth);
+        reply(ws, { type: 'history', requestId, ...page });
+      } catch (e) {
+        const errMsg = e && e.message ? e.message : String(e);
+        logger.warn('fetchHistory failed', { requestId, error: errMsg });
+        reply(ws, { type: 'error', error: errMsg, request: msg.type, requestId });
+      }
+      return;
+    }
+
+    // archive search (reply goes to this socket only)
+    if (msg.type === 'searchMessages') {
+      const requestId = msg.requestId ? String(msg.requestId) : null;
+      try {
+        reply(ws, { type: 'searchResults', requestId, ...searchMessages(msg, ws._auth) });
+      } catch (e) {
+        const errMsg = e && e.message ? e.message : String(e);
+        reply(ws, { type: 'error', error: errMsg, request: msg.type, requestId, ...(e && e.details) });
+      }
+      return;
+    }
+
+    // edit / delete / react / thread actions (rate-limited like sends, but never queued)
+    const isMessageAction = Object.prototype.hasOwnProperty.call(MESSAGE_ACTIONS, msg.type);
+    if (isMessageAction || Object.prototype.hasOwnProperty.call(THREAD_ACTIONS, msg.type)) {
+      if (!msg.ref) msg.ref = Date.now().toString();
+      if (!hasScope(ws._auth, 'send')) { reply(ws, { type: 'ack', ok: false, ref: msg.ref, action: msg.type, error: 'forbidden' }); return; }
+      const rateLimit = takeTokens([ws._bucket, channelBucket(channelKeyOf(msg)), globalBucket]);
+      if (!rateLimit.ok) { reply(ws, { type: 'ack', ok: false, ref: msg.ref, action: msg.type, error: 'rate-limited', rateLimit }); return; }
+      if (isMessageAction) await handleMessageAction(msg, ws._auth, ws, rateLimit);
+      else await handleThreadAction(msg, ws._auth, ws, rateLimit);
+      return;
+    }
+
+    // send message / direct message / forum post
+    if (SEND_REQUESTS.includes(msg.type)) {
+      await submitSend(msg, ws._auth, ws._bucket, ws);
       return;
     }
 
@@ -451,38 +2548,330 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
+    clearTimeout(ws._authTimer);
     sockets = sockets.filter(s => s !== ws);
-    log('[WS] Client disconnected');
+    if (ws._session && ws._session.socket === ws) ws._session.closedAt = Date.now();
+    logger.info('socket disconnected', { keyId: ws._auth ? ws._auth.id : null });
   });
 
   ws.on('error', (err) => {
-    log('[WS] socket error', err && err.message ? err.message : err);
+    logger.warn('socket error', { error: errText(err) });
     try { ws.terminate(); } catch (_) {}
   });
-});
+}
+
+// HTTP API. Keys go in `Authorization: Bearer <key>` (or X-Bridge-Key); errors are { error } with a matching status.
+const HTTP_MAX_BODY_BYTES = Math.ceil(MAX_UPLOAD_TOTAL_BYTES * 4 / 3) + 1024 * 1024; // base64 files + JSON
+const HTTP_ERROR_STATUS = {
+  'auth-required': 401, 'bad-key': 401, forbidden: 403, 'dms-disabled': 403,
+  'not-found': 404, 'Guild not found': 404, 'Channel not found or not sendable': 404, 'User not found': 404,
+  'method-not-allowed': 405, 'body-too-large': 413, 'file-too-large': 413, 'upload-too-large': 413,
+  'image-too-large': 413, 'not-an-image': 415, 'rate-limited': 429, 'internal-error': 500, 'not-connected': 503, 'queue-full': 503
+};
+// everything else that fails before Discord is asked is the caller's fault
+const HTTP_CLIENT_ERRORS = ['bad-json', 'bad-request', 'bad-files', 'too-many-files', 'bad-file-data', 'bad-embed', 'too-many-embeds',
+  'too-many-fields', 'embed-too-long', 'embeds-too-long', 'empty-message', 'not-a-forum', 'title required for forum posts',
+  'userId or username required', 'bad-image-size', 'bad-image-format'];
+
+function httpStatusFor(error) {
+  if (HTTP_ERROR_STATUS[error]) return HTTP_ERROR_STATUS[error];
+  if (HTTP_CLIENT_ERRORS.includes(error)) return 400;
+  return 502; // Discord refused or failed
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const data = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(data), ...headers });
+  res.end(data);
+}
+
+function sendHttpError(res, error, extra = {}) {
+  const status = httpStatusFor(error);
+  const headers = {};
+  if (status === 405 && extra.allow) headers.Allow = extra.allow;
+  if (extra.rateLimit && extra.rateLimit.retryAfterMs) headers['Retry-After'] = String(Math.ceil(extra.rateLimit.retryAfterMs / 1000));
+  sendJson(res, status, { ok: false, error, ...extra }, headers);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > HTTP_MAX_BODY_BYTES) {
+        // stop buffering but drain the rest, so the 413 still reaches the caller
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new Error('body-too-large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > HTTP_MAX_BODY_BYTES) return;
+      if (!size) return resolve({});
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return reject(new Error('bad-request'));
+        resolve(body);
+      } catch (e) { reject(new Error('bad-json')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function httpAuth(req) {
+  const header = String(req.headers.authorization || '');
+  const key = /^Bearer\s+/i.test(header) ? header.replace(/^Bearer\s+/i, '').trim() : String(req.headers['x-bridge-key'] || '');
+  return authenticate(key);
+}
+
+// Image proxy: GET /image?channelId=&messageId=[&attachmentId=] (default: the first image) or ?userId=[&guildId=]
+// (avatar, the server one with guildId). width/height (attachments), size (avatars) and format=png are handed to
+// Discord's media proxy; the message is fetched again so expired signed URLs don't matter. Results are cached on
+// disk by attachment id or avatar URL plus options, oldest dropped beyond IMAGE_CACHE_MAX_BYTES.
+const imageCache = new Map();   // sha1 of the key -> { file, contentType, size, usedAt }
+const imageFetches = new Map(); // same -> in-flight download, so concurrent requests share it
+
+function loadImageCache() {
+  imageCache.clear();
+  let files = [];
+  try { files = fs.readdirSync(IMAGE_CACHE_DIR); } catch (e) { return; }
+  const typeOfExt = Object.fromEntries(Object.entries(IMAGE_TYPES).map(([type, ext]) => [ext, type]));
+  for (const file of files) {
+    const [hash, ext] = file.split('.');
+    if (!typeOfExt[ext]) continue;
+    try {
+      const st = fs.statSync(path.join(IMAGE_CACHE_DIR, file));
+      imageCache.set(hash, { file, contentType: typeOfExt[ext], size: st.size, usedAt: st.mtimeMs });
+    } catch (e) { /* ignore */ }
+  }
+}
+
+function pruneImageCache() {
+  let total = 0;
+  for (const entry of imageCache.values()) total += entry.size;
+  if (total <= IMAGE_CACHE_MAX_BYTES) return;
+  const oldestFirst = Array.from(imageCache).sort((a, b) => a[1].usedAt - b[1].usedAt);
+  for (const [hash, entry] of oldestFirst) {
+    if (total <= IMAGE_CACHE_MAX_BYTES) break;
+    try { fs.unlinkSync(path.join(IMAGE_CACHE_DIR, entry.file)); } catch (e) { /* already gone */ }
+    imageCache.delete(hash);
+    total -= entry.size;
+  }
+}
+
+function imageDimension(query, name) {
+  const value = query.get(name);
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > IMAGE_MAX_SIZE) throw requestError('bad-image-size', { [name]: value, max: IMAGE_MAX_SIZE });
+  return n;
+}
+
+// -> { key, url } for what the query asks for
+async function imageSource(query, auth) {
+  const format = query.get('format') ? query.get('format').toLowerCase() : null;
+  if (format && format !== 'png') throw requestError('bad-image-format', { format, allowed: ['png'] });
+
+  const userId = query.get('userId');
+  if (userId) {
+    const size = imageDimension(query, 'size') || AVATAR_SIZE;
+    let who = null;
+    if (query.get('guildId')) {
+      const guild = resolveGuild({ guildId: query.get('guildId') }, auth);
+      who = guild.members.cache.get(userId) || null;
+      if (!who) {
+        try { who = await guild.members.fetch(userId); } catch (e) { /* handled below */ }
+      }
+    } else {
+      try { who = await client.users.fetch(userId); } catch (e) { /* handled below */ }
+    }
+    if (!who) throw new Error('not-found');
+    // avatars are always PNG and come in power-of-two sizes
+    const url = who.displayAvatarURL({ format: 'png', size: 2 ** Math.ceil(Math.log2(Math.max(16, size))) });
+    return { key: url, url };
+  }
+
+  const channelId = query.get('channelId');
+  const messageId = query.get('messageId');
+  if (!channelId || !messageId) throw requestError('bad-request', { reason: 'channelId and messageId, or userId, required' });
+  const width = imageDimension(query, 'width');
+  const height = imageDimension(query, 'height');
+  let channel = null;
+  try { channel = await client.channels.fetch(channelId); } catch (e) { /* handled below */ }
+  if (!channel || !channel.messages) throw new Error('not-found');
+  if (!canAccessChannel(auth, channel)) throw new Error('forbidden');
+  let message = null;
+  try { message = await channel.messages.fetch(messageId); } catch (e) { /* handled below */ }
+  const attachments = message && message.attachments ? Array.from(message.attachments.values()) : [];
+  const attachmentId = query.get('attachmentId');
+  const attachment = attachmentId
+    ? attachments.find(a => a.id === attachmentId)
+    : attachments.find(a => IMAGE_TYPES[a.contentType]) || attachments[0];
+  if (!attachment) throw new Error('not-found');
+  if (!width && !height && !format) return { key: 'attachment:' + attachment.id, url: attachment.url };
+  const url = new URL(attachment.proxyURL || attachment.url);
+  if (width) url.searchParams.set('width', String(width));
+  if (height) url.searchParams.set('height', String(height));
+  if (format) url.searchParams.set('format', format);
+  return { key: ['attachment', attachment.id, width, height, format].join(':'), url: url.toString() };
+}
+
+async function downloadImage(hash, url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw requestError('image-fetch-failed', { status: res.status });
+  const contentType = String(res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!IMAGE_TYPES[contentType]) throw requestError('not-an-image', { contentType: contentType || null });
+  if (Number(res.headers.get('content-length')) > IMAGE_MAX_BYTES) throw requestError('image-too-large', { limit: IMAGE_MAX_BYTES });
+  const data = Buffer.from(await res.arrayBuffer());
+  if (data.length > IMAGE_MAX_BYTES) throw requestError('image-too-large', { limit: IMAGE_MAX_BYTES });
+  const entry = { file: hash + '.' + IMAGE_TYPES[contentType], contentType, size: data.length, usedAt: Date.now() };
+  try {
+    fs.mkdirSync(IMAGE_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(IMAGE_CACHE_DIR, entry.file), data);
+    imageCache.set(hash, entry);
+    pruneImageCache();
+  } catch (e) {
+    logger.warn('image cache write failed', { file: entry.file, error: errText(e) });
+  }
+  return { ...entry, data };
+}
+
+// -> { contentType, data, hit }
+async function fetchImage(source) {
+  const hash = crypto.createHash('sha1').update(source.key).digest('hex');
+  const cached = imageCache.get(hash);
+  if (cached) {
+    try {
+      const data = fs.readFileSync(path.join(IMAGE_CACHE_DIR, cached.file));
+      cached.usedAt = Date.now();
+      return { contentType: cached.contentType, data, hit: true };
+    } catch (e) {
+      imageCache.delete(hash); // deleted behind our back: fetch it again
+    }
+  }
+  if (!imageFetches.has(hash)) {
+    imageFetches.set(hash, downloadImage(hash, source.url).finally(() => imageFetches.delete(hash)));
+  }
+  const { contentType, data } = await imageFetches.get(hash);
+  return { contentType, data, hit: false };
+}
+
+const HTTP_ROUTES = {
+  // 503 once Discord is lost or login failed (not while still starting up), so platform health checks notice
+  'GET /health': { auth: false, handler: (req, res) => {
+    const ok = state.discordStatus !== 'disconnected' && state.discordStatus !== 'login-failed';
+    sendJson(res, ok ? 200 : 503, {
+      ok,
+      discordStatus: state.discordStatus,
+      discordConnected: !!state.discordConnected,
+      cacheReady: !!state.cacheReady,
+      servers: state.servers.length,
+      sockets: sockets.length,
+      queueLength: state.queue.length,
+      uptimeSec: Math.round((Date.now() - startedAt) / 1000)
+    });
+  } },
+  'GET /servers': { scope: 'read', handler: (req, res, auth) => {
+    const { type, ...list } = serverListFor(auth);
+    sendJson(res, 200, { ok: true, cacheReady: !!state.cacheReady, ...list });
+  } },
+  'GET /queue': { scope: 'read', handler: (req, res, auth) => sendJson(res, 200, { ok: true, ...queueSummary(auth) }) },
+  'GET /metrics': { scope: 'admin', handler: (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(prometheusText());
+  } },
+  'GET /image': { scope: 'read', handler: async (req, res, auth) => {
+    const query = new URL(req.url, 'http://bridge').searchParams;
+    let image;
+    try {
+      image = await fetchImage(await imageSource(query, auth));
+    } catch (e) {
+      return sendHttpError(res, errText(e), e.details);
+    }
+    res.writeHead(200, {
+      'Content-Type': image.contentType,
+      'Content-Length': image.data.length,
+      'Cache-Control': 'private, max-age=86400',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Cache': image.hit ? 'hit' : 'miss'
+    });
+    res.end(image.data);
+  } },
+  'POST /messages': { scope: 'send', handler: async (req, res, auth) => {
+    const body = await readJsonBody(req);
+    const msg = { ...body, type: SEND_REQUESTS.includes(body.type) ? body.type : 'sendMessage' };
+    if (msg.ref !== undefined) msg.ref = String(msg.ref);
+    const { type, ...ack } = await submitSend(msg, auth, httpBucket(auth), null);
+    if (ack.ok) sendJson(res, ack.skipped ? 200 : 201, ack);
+    else if (ack.queued) sendJson(res, 202, ack);
+    else sendHttpError(res, ack.error, ack);
+  } },
+  'POST /refresh': { scope: 'admin', handler: (req, res) => {
+    const alreadyRunning = cacheBuilding;
+    buildCacheOnce({ progressively: true }).catch(e => logger.error('manual refresh failed', { error: errText(e) }));
+    sendJson(res, 202, { ok: true, started: !alreadyRunning });
+  } }
+};
+
+async function onHttpRequest(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', HTTP_CORS_ORIGIN);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS', 'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Bridge-Key', 'Access-Control-Max-Age': '600' });
+    res.end();
+    return;
+  }
+  const pathname = (req.url || '/').split('?')[0].replace(/\/+$/, '') || '/';
+  const route = HTTP_ROUTES[req.method + ' ' + pathname];
+  try {
+    if (!route) {
+      const allow = ['GET', 'POST'].filter(m => HTTP_ROUTES[m + ' ' + pathname]);
+      if (allow.length) return sendHttpError(res, 'method-not-allowed', { allow: allow.join(', ') });
+      return sendHttpError(res, 'not-found');
+    }
+    let auth = null;
+    if (route.auth !== false) {
+      auth = httpAuth(req);
+      if (!auth) return sendHttpError(res, req.headers.authorization || req.headers['x-bridge-key'] ? 'bad-key' : 'auth-required');
+      if (!hasScope(auth, route.scope)) return sendHttpError(res, 'forbidden');
+    }
+    await route.handler(req, res, auth);
+  } catch (e) {
+    const error = e && e.message ? e.message : String(e);
+    logger.error('http request failed', { method: req.method, path: pathname, error });
+    if (!res.headersSent) sendHttpError(res, HTTP_ERROR_STATUS[error] || HTTP_CLIENT_ERRORS.includes(error) ? error : 'internal-error');
+  }
+}
 
 // Periodic server -> client heartbeat and stale-socket cleanup
-setInterval(() => {
+function heartbeat() {
   const now = Date.now();
+  pruneChannelBuckets();
+  pruneSessions(now);
+  if (ARCHIVE_ENABLED) pruneArchive();
   wss.clients.forEach(ws => {
     if (ws.readyState !== WebSocket.OPEN) return;
     // if no recent hb_ack, close it
     const last = ws._lastSeen || 0;
     if (now - last > HEARTBEAT_STALE_MS) {
-      log('[WS] closing stale client (no hb_ack for', now - last, 'ms)');
+      metrics.heartbeatTerminations++;
+      logger.info('socket terminated: no hb_ack', { keyId: ws._auth ? ws._auth.id : null, silentMs: now - last });
       try { ws.terminate(); } catch (e) {}
       return;
     }
     // send hb -> client should respond with hb_ack
-    try { ws.send(JSON.stringify({ type: 'hb' })); } catch (e) { log('[WS] hb send failed', e && e.message ? e.message : e); }
+    try { ws.send(JSON.stringify({ type: 'hb' })); } catch (e) { logger.warn('heartbeat send failed', { error: errText(e) }); }
   });
-}, HEARTBEAT_INTERVAL_MS);
+}
 
 // Discord client ready handler & startup
-client.on('ready', async () => {
+async function onReady() {
   try {
-    log('[Discord] Ready as', client.user && (client.user.tag || client.user.username));
+    logger.info('discord ready', { user: client.user && (client.user.tag || client.user.username) });
     state.discordConnected = true;
+    state.discordStatus = 'connected';
 
     // broadcast ready/discord info immediately so extension sees discordReady = true quickly
     broadcast({ type: 'ready', value: true });
@@ -490,27 +2879,143 @@ client.on('ready', async () => {
 
     // one-time cache build if we have no servers loaded from disk
     if (!state.servers || state.servers.length === 0) {
-      try { await buildCacheOnce({progressively: true}); } catch (e) { log('buildCacheOnce failed', e && e.message ? e.message : e); }
+      try { await buildCacheOnce({progressively: true}); } catch (e) { logger.error('cache build failed', { error: errText(e) }); }
     } else {
       // re-send cached serverList to new clients
-      safeSendAll({ type: 'serverList', servers: state.servers });
+      broadcast({ type: 'serverList', servers: state.servers });
     }
 
     // process queued sends now that discord is connected
     if (state.queue.length > 0) {
-      processQueue().catch(e => log('processQueue error', e && e.message ? e.message : e));
+      processQueue().catch(e => logger.error('queue processing error', { error: errText(e) }));
     }
   } catch (e) {
-    log('client.ready handler error', e && e.message ? e.message : e);
+    logger.error('ready handler error', { error: errText(e) });
   }
-});
+}
 
-(async function start() {
-  try {
-    await client.login(TOKEN);
-    log('Discord login attempted');
-  } catch (e) {
-    log('Discord login failed:', e && e.message ? e.message : e);
+// Discord connection lost after ready. discord.js reconnects by itself; until then sends queue up again.
+function onDiscordDisconnect() {
+  if (state.discordStatus !== 'connected') return;
+  logger.warn('discord disconnected');
+  state.discordConnected = false;
+  state.discordStatus = 'disconnected';
+  broadcast({ type: 'ready', value: false });
+}
+// A resumed (or re-identified) shard after a drop: the connection is back
+function onDiscordReconnect() {
+  if (state.discordStatus !== 'disconnected') return;
+  logger.info('discord reconnected');
+  state.discordConnected = true;
+  state.discordStatus = 'connected';
+  broadcast({ type: 'ready', value: true });
+  if (state.queue.length > 0) processQueue().catch(e => logger.error('queue processing error', { error: errText(e) }));
+}
+
+function createBackend(name) {
+  if (name === 'mock') return require('./backends/mock.cjs').createMockBackend();
+  if (name === 'discord') return require('./backends/discord.cjs').createDiscordBackend();
+  throw new Error('Unknown BRIDGE_BACKEND: ' + name);
+}
+
+// Start the WebSocket server and log the backend in. Resolves with the bound port once listening.
+// Login failures are logged, not thrown; run directly (exitOnLoginFailure) the process exits on one, like it always did.
+function start({ backend = createBackend(BACKEND), port = PORT, token = TOKEN, exitOnLoginFailure = require.main === module } = {}) {
+  if (keysError) return Promise.reject(keysError);
+  client = backend;
+  client.on('ready', onReady);
+  client.on('shardDisconnect', onDiscordDisconnect);
+  client.on('invalidated', onDiscordDisconnect);
+  client.on('shardResume', onDiscordReconnect);
+  client.on('shardReady', onDiscordReconnect);
+  client.on('messageCreate', inOrder(onMessageCreate));
+  client.on('messageUpdate', inOrder(onMessageUpdate));
+  client.on('messageDelete', inOrder(onMessageDelete));
+  client.on('messageReactionAdd', inOrder((reaction, user) => forwardReaction('reactionAdd', reaction, user)));
+  client.on('messageReactionRemove', inOrder((reaction, user) => forwardReaction('reactionRemove', reaction, user)));
+  client.on('guildCreate', inOrder(onGuildCreate));
+  client.on('guildDelete', inOrder(onGuildDelete));
+  client.on('guildUpdate', inOrder(onGuildUpdate));
+  client.on('channelCreate', inOrder(onChannelCreate));
+  client.on('channelUpdate', inOrder(onChannelUpdate));
+  client.on('channelDelete', inOrder(onChannelDelete));
+  client.on('threadCreate', inOrder(onThreadCreate));
+  client.on('threadUpdate', inOrder(onThreadUpdate));
+  client.on('threadDelete', inOrder(onThreadDelete));
+
+  loadStateFromDisk();
+  if (ARCHIVE_ENABLED) loadArchive();
+  loadImageCache();
+  eventEpoch = crypto.randomUUID();
+  eventSeq = 0;
+  recentEvents.length = 0;
+  sessions.clear();
+
+  startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    // one port for both: plain HTTP requests hit the API, upgrades go to the WebSocket server
+    httpServer = http.createServer(HTTP_ENABLED ? onHttpRequest : (req, res) => sendHttpError(res, 'not-found'));
+    wss = new WebSocket.Server({ server: httpServer });
+    httpServer.once('error', reject);
+    httpServer.listen(port, () => {
+      const bound = httpServer.address().port;
+      logger.info('listening', { port: bound, http: HTTP_ENABLED });
+      resolve({ port: bound });
+    });
+    wss.on('connection', onConnection);
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+
+    Promise.resolve()
+      .then(() => client.login(token))
+      .then(() => logger.info('discord login attempted', { backend: BACKEND }))
+      .catch(e => {
+        logger.error('discord login failed', { error: errText(e) });
+        state.discordStatus = 'login-failed';
+        // a bad or expired token never recovers: exit so the process manager notices
+        if (exitOnLoginFailure) process.exit(1);
+      });
+  });
+}
+
+// Close sockets and timers, flush pending state to disk and log the backend out.
+async function stop() {
+  if (heartbeatTimer) { clearInterval(heartbeatTimer); heartbeatTimer = null; }
+  flushPendingSaves();
+  sockets.forEach(ws => { try { ws.terminate(); } catch (e) {} });
+  if (wss) await new Promise(r => wss.close(() => r()));
+  wss = null;
+  if (httpServer) {
+    if (typeof httpServer.closeAllConnections === 'function') httpServer.closeAllConnections();
+    await new Promise(r => httpServer.close(() => r()));
+  }
+  httpServer = null;
+  if (client) {
+    client.removeAllListeners();
+    try { await client.destroy(); } catch (e) { /* ignore */ }
+  }
+  state.discordConnected = false;
+  state.discordStatus = 'starting';
+}
+
+module.exports = { start, stop, state };
+
+if (require.main === module) {
+  if (BACKEND === 'discord' && !TOKEN) {
+    logger.error('DISCORD_TOKEN (or TOKEN) not set; exiting');
     process.exit(1);
   }
-})();
+
+  // Defensive global error logging (don't crash on unexpected promise rejections)
+  process.on('uncaughtException', (err) => {
+    logger.error('uncaughtException', { error: errText(err), stack: err && err.stack });
+  });
+  process.on('unhandledRejection', (err) => {
+    logger.error('unhandledRejection', { error: errText(err), stack: err && err.stack });
+  });
+
+  start().catch(e => {
+    logger.error('failed to start', { error: errText(e) });
+    process.exit(1);
+  });
+}
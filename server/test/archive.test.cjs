@@ -0,0 +1,95 @@
+// test/archive.test.cjs
+// Message archive: retention per channel, searchMessages filters and paging, access filtering, restarts.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const GENERAL = '200000000000000001';
+const RANDOM = '200000000000000002';
+const keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'disclink-keys-')), 'keys.json');
+fs.writeFileSync(keysFile, JSON.stringify({
+  keys: { 'random-key': { name: 'random-only', scopes: ['read'], channels: [RANDOM] } }
+}));
+const bridge = loadBridge({
+  BRIDGE_SECRET: 'top-secret',
+  BRIDGE_KEYS_FILE: keysFile,
+  BRIDGE_ARCHIVE: 'on',
+  ARCHIVE_RETENTION: JSON.stringify({ [RANDOM]: { maxMessages: 2 } })
+});
+const backend = createMockBackend();
+const ALICE = { id: '400000000000000001', username: 'alice' };
+const BOB = { id: '400000000000000002', username: 'bob' };
+let port;
+
+let requestCounter = 0;
+function search(c, query, replyType = 'searchResults') {
+  const requestId = 'q' + (++requestCounter);
+  c.send({ type: 'searchMessages', requestId, ...query });
+  return c.next(replyType, m => m.requestId === requestId);
+}
+
+test.before(async () => {
+  ({ port } = await bridge.start({ backend, port: 0 }));
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+  const c = await connect(port, { hello: 'top-secret' });
+  await c.next('helloOk');
+  backend.injectMessage({ channelId: GENERAL, author: ALICE, content: 'hello **world**', createdTimestamp: Date.now() - 3 * 86400000 });
+  backend.injectMessage({ channelId: GENERAL, author: BOB, content: 'Hello there' });
+  backend.injectMessage({ channelId: GENERAL, author: ALICE, content: 'bye' });
+  for (const content of ['r1', 'r2', 'r3']) backend.injectMessage({ channelId: RANDOM, author: BOB, content });
+  for (let i = 0; i < 6; i++) await c.next('message');
+  c.close();
+});
+test.after(() => bridge.stop());
+
+test('searches by text, author, channel and time range in the message payload shape', async () => {
+  const c = await connect(port, { hello: 'top-secret' });
+  const hello = await search(c, { query: 'HELLO' });
+  assert.deepStrictEqual(hello.messages.map(m => m.displayText), ['hello **world**', 'Hello there']);
+  assert.strictEqual(hello.messages[0].plainText, 'hello world');
+  assert.strictEqual(hello.messages[0].author.username, 'alice');
+  assert.strictEqual(hello.before, null);
+
+  assert.deepStrictEqual((await search(c, { author: 'Alice' })).messages.map(m => m.trimmedContent), ['hello **world**', 'bye']);
+  assert.deepStrictEqual((await search(c, { authorId: BOB.id, channelId: GENERAL })).messages.map(m => m.trimmedContent), ['Hello there']);
+  assert.strictEqual((await search(c, { query: 'hello', since: new Date(Date.now() - 86400000).toISOString() })).messages.length, 1);
+  assert.deepStrictEqual((await search(c, { until: Date.now() - 86400000 })).messages.map(m => m.trimmedContent), ['hello **world**']);
+  // RANDOM keeps only its newest two
+  assert.deepStrictEqual((await search(c, { channelId: RANDOM })).messages.map(m => m.trimmedContent), ['r2', 'r3']);
+  assert.strictEqual((await search(c, { since: 'not a date' }, 'error')).error, 'bad-time');
+  c.close();
+});
+
+test('pages backwards with before', async () => {
+  const c = await connect(port, { hello: 'top-secret' });
+  const first = await search(c, { query: 'hello', limit: 1 });
+  assert.deepStrictEqual(first.messages.map(m => m.trimmedContent), ['Hello there']);
+  assert.ok(first.before);
+  const second = await search(c, { query: 'hello', limit: 1, before: first.before });
+  assert.deepStrictEqual(second.messages.map(m => m.trimmedContent), ['hello **world**']);
+  assert.strictEqual(second.before, null);
+  c.close();
+});
+
+test('keys only find messages from channels they can read', async () => {
+  const c = await connect(port, { hello: 'random-key' });
+  assert.deepStrictEqual((await search(c, {})).messages.map(m => m.channelId), [RANDOM, RANDOM]);
+  assert.deepStrictEqual((await search(c, { channelId: GENERAL })).messages, []);
+  c.close();
+});
+
+test('the archive survives a restart', async () => {
+  await bridge.stop();
+  const files = fs.readdirSync(path.join(bridge.dataDir, 'archive')).sort();
+  assert.deepStrictEqual(files, [GENERAL + '.jsonl', RANDOM + '.jsonl']);
+  ({ port } = await bridge.start({ backend, port: 0 }));
+  const c = await connect(port, { hello: 'top-secret' });
+  assert.strictEqual((await search(c, {})).messages.length, 5);
+  c.close();
+});
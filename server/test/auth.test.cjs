@@ -0,0 +1,116 @@
+// test/auth.test.cjs
+// hello/auth handshake and per-key scopes.
+'use strict';
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const os = require('os');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'disclink-keys-')), 'keys.json');
+fs.writeFileSync(keysFile, JSON.stringify({
+  keys: {
+    'reader-key': { name: 'reader', scopes: ['read'] },
+    'random-key': { name: 'random-only', scopes: ['read', 'send'], channels: ['200000000000000002'] }
+  }
+}));
+const bridge = loadBridge({ BRIDGE_SECRET: 'top-secret', BRIDGE_KEYS_FILE: keysFile });
+const backend = createMockBackend();
+const GENERAL = '200000000000000001';
+const RANDOM = '200000000000000002';
+let port;
+
+test.before(async () => {
+  ({ port } = await bridge.start({ backend, port: 0 }));
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+});
+test.after(() => bridge.stop());
+
+test('closes sockets that talk before authenticating', async () => {
+  const c = await connect(port);
+  c.send({ type: 'getServerList' });
+  assert.strictEqual((await c.next('authFailed')).error, 'auth-required');
+  assert.strictEqual((await c.waitClose()).code, 4001);
+});
+
+test('closes sockets with a bad key', async () => {
+  const c = await connect(port, { hello: 'wrong' });
+  assert.strictEqual((await c.next('authFailed')).error, 'bad-key');
+  assert.strictEqual((await c.waitClose()).code, 4001);
+});
+
+test('shared secret gets every scope', async () => {
+  const c = await connect(port, { hello: 'top-secret' });
+  const ok = await c.next('helloOk');
+  assert.deepStrictEqual(ok.scopes.sort(), ['admin', 'dm', 'read', 'send']);
+  assert.strictEqual((await c.next('serverList')).servers[0].channels.length, 2);
+  c.close();
+});
+
+test('read-only keys cannot send or refresh', async () => {
+  const c = await connect(port, { hello: 'reader-key' });
+  await c.next('helloOk');
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'nope', ref: 'ro1' });
+  assert.strictEqual((await c.next('ack')).error, 'forbidden');
+  c.send({ type: 'forceRefresh' });
+  assert.strictEqual((await c.next('error')).error, 'forbidden');
+  c.close();
+});
+
+test('keys without the dm scope neither see nor send DMs', async () => {
+  const c = await connect(port, { hello: 'random-key' });
+  await c.next('helloOk');
+  assert.strictEqual((await c.next('serverList')).dms, undefined);
+  backend.injectDirectMessage({ content: 'psst' });
+  assert.ok(await c.none('dm'));
+  c.send({ type: 'sendDirectMessage', userId: '900000000000000002', content: 'nope', ref: 'dm1' });
+  assert.strictEqual((await c.next('ack')).error, 'forbidden');
+  const dmChannel = backend.channels.cache.find(ch => ch.type === 'DM');
+  c.send({ type: 'sendMessage', channelId: dmChannel.id, content: 'nope', ref: 'dm2' });
+  assert.strictEqual((await c.next('ack')).error, 'forbidden');
+  c.send({ type: 'fetchHistory', channelId: dmChannel.id, requestId: 'h1' });
+  assert.strictEqual((await c.next('error', m => m.requestId === 'h1')).error, 'forbidden');
+  c.close();
+});
+
+test('channel allow-lists filter the server list, events and sends', async () => {
+  const c = await connect(port, { hello: 'random-key' });
+  await c.next('helloOk');
+  assert.deepStrictEqual((await c.next('serverList')).servers[0].channels.map(ch => ch.id), [RANDOM]);
+
+  backend.injectMessage({ channelId: GENERAL, content: 'hidden' });
+  backend.injectMessage({ channelId: RANDOM, content: 'visible' });
+  assert.strictEqual((await c.next('message')).data.displayText, 'visible');
+  assert.ok(await c.none('message'));
+
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'nope', ref: 'ch1' });
+  assert.strictEqual((await c.next('ack')).error, 'forbidden');
+  // history can't tell a channel the key may not read from one that doesn't exist
+  c.send({ type: 'fetchHistory', channelId: GENERAL, requestId: 'hg' });
+  c.send({ type: 'fetchHistory', channelId: '200000000000000999', requestId: 'hx' });
+  assert.strictEqual((await c.next('error', m => m.requestId === 'hg')).error, 'forbidden');
+  assert.strictEqual((await c.next('error', m => m.requestId === 'hx')).error, 'forbidden');
+  c.send({ type: 'fetchHistory', channelId: RANDOM, requestId: 'hr' });
+  await c.next('history', m => m.requestId === 'hr');
+  c.send({ type: 'sendMessage', channelId: RANDOM, content: 'yes', ref: 'ch2' });
+  assert.strictEqual((await c.next('ack')).ok, true);
+  c.close();
+});
+
+test('a malformed keys file makes start() reject instead of exiting on require', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'disclink-badkeys-'));
+  fs.writeFileSync(path.join(dir, 'keys.json'), '{ not json');
+  const script = `require(${JSON.stringify(path.join(__dirname, '..', 'server.cjs'))})
+    .start({ backend: require(${JSON.stringify(path.join(__dirname, '..', 'backends', 'mock.cjs'))}).createMockBackend(), port: 0 })
+    .then(() => process.exit(2), e => { console.log(e.message); process.exit(0); });`;
+  const out = execFileSync(process.execPath, ['-e', script], {
+    env: { ...process.env, BRIDGE_DATA_DIR: dir, BRIDGE_KEYS_FILE: path.join(dir, 'keys.json'), LOG_LEVEL: 'error' },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  assert.match(out, /^failed to read keys file /);
+});
@@ -0,0 +1,86 @@
+// test/helpers.cjs
+// Shared setup for the protocol tests: an in-process bridge on the mock backend and a small ws client.
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// Configure the environment, then load the bridge. Config is read once at require time,
+// so call this at the top of a test file (each file runs in its own process).
+function loadBridge(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'disclink-test-'));
+  Object.assign(process.env, {
+    BRIDGE_DATA_DIR: dataDir,
+    BRIDGE_KEYS_FILE: path.join(dataDir, 'keys.json'),
+    BRIDGE_SECRET: '',
+    DISCORD_TOKEN: 'mock-token',
+    LOG_LEVEL: 'error',
+    // effectively unlimited unless a test is about rate limits
+    RATE_SOCKET_BURST: '1000',
+    RATE_CHANNEL_BURST: '1000',
+    RATE_GLOBAL_BURST: '1000'
+  }, env);
+  const bridge = require('../server.cjs');
+  return { ...bridge, dataDir };
+}
+
+// Wrapped ws client that buffers everything it receives so tests can await specific messages.
+function connect(port, { hello = null, query = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket('ws://127.0.0.1:' + port + (query ? '/?' + new URLSearchParams(query) : ''));
+    const received = [];
+    const waiters = [];
+    const client = {
+      ws,
+      received,
+      closed: null,
+      send(obj) { ws.send(JSON.stringify(obj)); },
+      // resolves with the first message (already received or future) matching type + predicate
+      next(type, predicate = () => true, timeoutMs = 2000) {
+        const i = received.findIndex(m => m.type === type && predicate(m));
+        if (i !== -1) return Promise.resolve(received.splice(i, 1)[0]);
+        return new Promise((res, rej) => {
+          const waiter = { type, predicate, res };
+          waiter.timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            rej(new Error(`timed out waiting for ${type}; got: ${received.map(m => m.type).join(',')}`));
+          }, timeoutMs);
+          waiters.push(waiter);
+        });
+      },
+      // resolves with false if no matching message arrives within ms
+      async none(type, predicate = () => true, ms = 200) {
+        try { await client.next(type, predicate, ms); return false; } catch (e) { return true; }
+      },
+      waitClose(timeoutMs = 2000) {
+        if (client.closed) return Promise.resolve(client.closed);
+        return new Promise((res, rej) => {
+          const t = setTimeout(() => rej(new Error('timed out waiting for close')), timeoutMs);
+          ws.once('close', (code, reason) => { clearTimeout(t); res({ code, reason: reason.toString() }); });
+        });
+      },
+      close() { ws.close(); }
+    };
+    ws.on('message', raw => {
+      const msg = JSON.parse(raw.toString());
+      const w = waiters.find(x => x.type === msg.type && x.predicate(msg));
+      if (w) {
+        clearTimeout(w.timer);
+        waiters.splice(waiters.indexOf(w), 1);
+        w.res(msg);
+      } else {
+        received.push(msg);
+      }
+    });
+    ws.on('close', (code, reason) => { client.closed = { code, reason: reason.toString() }; });
+    ws.once('error', reject);
+    ws.once('open', () => {
+      if (hello !== null) client.send({ type: 'hello', key: hello });
+      resolve(client);
+    });
+  });
+}
+
+module.exports = { loadBridge, connect };
@@ -0,0 +1,105 @@
+// test/http.test.cjs
+// HTTP API on the WebSocket port: auth, status codes and sends sharing the socket path.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'disclink-keys-')), 'keys.json');
+fs.writeFileSync(keysFile, JSON.stringify({
+  keys: { 'reader-key': { name: 'reader', scopes: ['read'] } }
+}));
+const bridge = loadBridge({ BRIDGE_SECRET: 'top-secret', BRIDGE_KEYS_FILE: keysFile });
+const backend = createMockBackend();
+const GENERAL = '200000000000000001';
+let base;
+
+function call(method, route, { key = 'top-secret', body } = {}) {
+  const headers = {};
+  if (key) headers.Authorization = 'Bearer ' + key;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  return fetch(base + route, { method, headers, body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)) })
+    .then(async res => ({ status: res.status, headers: res.headers, body: await res.json() }));
+}
+
+test.before(async () => {
+  const { port } = await bridge.start({ backend, port: 0 });
+  base = 'http://127.0.0.1:' + port;
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+});
+test.after(() => bridge.stop());
+
+test('health needs no key; everything else does', async () => {
+  const health = await call('GET', '/health', { key: null });
+  assert.strictEqual(health.status, 200);
+  assert.strictEqual(health.body.discordConnected, true);
+  assert.strictEqual(health.body.queueLength, 0);
+  backend.disconnect();
+  const down = await call('GET', '/health', { key: null });
+  assert.deepStrictEqual([down.status, down.body.ok, down.body.discordStatus, down.body.discordConnected], [503, false, 'disconnected', false]);
+  backend.resume();
+  assert.strictEqual((await call('GET', '/health', { key: null })).status, 200);
+  assert.strictEqual((await call('GET', '/servers', { key: null })).status, 401);
+  assert.strictEqual((await call('GET', '/servers', { key: 'wrong' })).body.error, 'bad-key');
+  const servers = await call('GET', '/servers');
+  assert.strictEqual(servers.status, 200);
+  assert.strictEqual(servers.body.servers[0].name, 'Mock Server');
+});
+
+test('POST /messages sends once per ref and maps errors to status codes', async () => {
+  const first = await call('POST', '/messages', { body: { channelId: GENERAL, content: 'from cron', ref: 'http-1' } });
+  assert.strictEqual(first.status, 201);
+  assert.ok(first.body.messageId);
+  assert.strictEqual(backend.sent.at(-1).content, 'from cron');
+  const again = await call('POST', '/messages', { body: { channelId: GENERAL, content: 'from cron', ref: 'http-1' } });
+  assert.strictEqual(again.status, 200);
+  assert.strictEqual(again.body.skipped, true);
+  assert.strictEqual(backend.sent.filter(s => s.content === 'from cron').length, 1);
+
+  assert.strictEqual((await call('POST', '/messages', { body: '{nope' })).status, 400);
+  assert.strictEqual((await call('POST', '/messages', { body: { channelId: GENERAL, embeds: [{}] } })).body.error, 'bad-embed');
+  assert.strictEqual((await call('POST', '/messages', { body: { channelId: '1', content: 'x' } })).status, 404);
+  assert.strictEqual((await call('POST', '/messages', { key: 'reader-key', body: { channelId: GENERAL, content: 'x' } })).status, 403);
+  backend.failNextSend(new Error('Missing Access'));
+  const failed = await call('POST', '/messages', { body: { channelId: GENERAL, content: 'x' } });
+  assert.deepStrictEqual([failed.status, failed.body.error], [502, 'Missing Access']);
+});
+
+test('queue, refresh and unknown routes', async () => {
+  const queue = await call('GET', '/queue', { key: 'reader-key' });
+  assert.deepStrictEqual([queue.status, queue.body.length], [200, 0]);
+  assert.strictEqual((await call('POST', '/refresh', { key: 'reader-key' })).status, 403);
+  assert.strictEqual((await call('POST', '/refresh')).status, 202);
+  assert.strictEqual((await call('GET', '/nope')).status, 404);
+  const wrongMethod = await call('GET', '/messages');
+  assert.strictEqual(wrongMethod.status, 405);
+  assert.strictEqual(wrongMethod.headers.get('allow'), 'POST');
+});
+
+test('metrics in Prometheus text and over getStats', async () => {
+  assert.strictEqual((await fetch(base + '/metrics', { headers: { Authorization: 'Bearer reader-key' } })).status, 403);
+  const res = await fetch(base + '/metrics', { headers: { Authorization: 'Bearer top-secret' } });
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const text = await res.text();
+  assert.match(text, /^# TYPE disclink_sends_total counter$/m);
+  assert.match(text, /^disclink_sends_total\{result="skipped"\} 1$/m);
+  assert.match(text, /^disclink_cache_build_seconds \d/m);
+
+  const ws = await connect(new URL(base).port, { hello: 'top-secret' });
+  ws.send({ type: 'getStats', requestId: 's1' });
+  const before = (await ws.next('stats', m => m.requestId === 's1')).stats;
+  backend.injectMessage({ channelId: GENERAL, content: 'counted' });
+  await ws.next('message');
+  ws.send({ type: 'getStats', requestId: 's2' });
+  const after = (await ws.next('stats', m => m.requestId === 's2')).stats;
+  assert.strictEqual(after.eventsForwarded.message, (before.eventsForwarded.message || 0) + 1);
+  assert.strictEqual(after.sockets, 1);
+  assert.ok(after.sends.ok >= 1 && after.sends.failed >= 1);
+  ws.close();
+});
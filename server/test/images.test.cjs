@@ -0,0 +1,92 @@
+// test/images.test.cjs
+// Image proxy (GET /image): fresh attachment lookups, media-proxy options, the disk cache and access checks.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const GENERAL = '200000000000000001';
+const RANDOM = '200000000000000002';
+const keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'disclink-keys-')), 'keys.json');
+fs.writeFileSync(keysFile, JSON.stringify({
+  keys: { 'random-key': { name: 'random-only', scopes: ['read'], channels: [RANDOM] } }
+}));
+const bridge = loadBridge({ BRIDGE_SECRET: 'top-secret', BRIDGE_KEYS_FILE: keysFile });
+const backend = createMockBackend();
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+let base;
+
+// stands in for Discord's CDN / media proxy and records what it was asked for
+const cdnRequests = [];
+const cdn = http.createServer((req, res) => {
+  cdnRequests.push(req.url);
+  if (req.url.startsWith('/notes.txt')) {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end('not a picture');
+  }
+  res.writeHead(200, { 'Content-Type': 'image/png' });
+  res.end(PNG);
+});
+let cdnBase;
+
+function get(query, key = 'top-secret') {
+  return fetch(base + '/image?' + new URLSearchParams(query), { headers: { Authorization: 'Bearer ' + key } });
+}
+
+test.before(async () => {
+  await new Promise(r => cdn.listen(0, '127.0.0.1', r));
+  cdnBase = 'http://127.0.0.1:' + cdn.address().port;
+  const { port } = await bridge.start({ backend, port: 0 });
+  base = 'http://127.0.0.1:' + port;
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+});
+test.after(async () => {
+  await bridge.stop();
+  cdn.close();
+});
+
+test('serves the first image attachment, resized through the media proxy and cached', async () => {
+  const m = backend.injectMessage({ channelId: GENERAL, content: 'look', attachments: [
+    { name: 'notes.txt', url: cdnBase + '/notes.txt', contentType: 'text/plain' },
+    { name: 'cat.png', url: cdnBase + '/cat.png?ex=1', contentType: 'image/png' }
+  ] });
+  const query = { channelId: GENERAL, messageId: m.id, width: '64', format: 'png' };
+  const res = await get(query);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('content-type'), 'image/png');
+  assert.strictEqual(res.headers.get('access-control-allow-origin'), '*');
+  assert.strictEqual(res.headers.get('x-cache'), 'miss');
+  assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), PNG);
+  assert.deepStrictEqual(cdnRequests, ['/cat.png?ex=1&width=64&format=png']);
+
+  const again = await get(query);
+  assert.strictEqual(again.headers.get('x-cache'), 'hit');
+  assert.deepStrictEqual(Buffer.from(await again.arrayBuffer()), PNG);
+  assert.strictEqual(cdnRequests.length, 1);
+  assert.strictEqual(fs.readdirSync(path.join(bridge.dataDir, 'images')).length, 1);
+
+  // other options are another cache entry
+  assert.strictEqual((await get({ channelId: GENERAL, messageId: m.id })).headers.get('x-cache'), 'miss');
+  assert.strictEqual(cdnRequests.at(-1), '/cat.png?ex=1');
+});
+
+test('rejects non-images, bad sizes, unknown messages and channels the key cannot read', async () => {
+  const m = backend.injectMessage({ channelId: GENERAL, attachments: [{ name: 'notes.txt', url: cdnBase + '/notes.txt', contentType: 'text/plain' }] });
+  const notImage = await get({ channelId: GENERAL, messageId: m.id });
+  assert.strictEqual(notImage.status, 415);
+  assert.strictEqual((await notImage.json()).error, 'not-an-image');
+
+  const badSize = await get({ channelId: GENERAL, messageId: m.id, width: '99999' });
+  assert.strictEqual(badSize.status, 400);
+  assert.strictEqual((await badSize.json()).max, 4096);
+  assert.strictEqual((await get({ channelId: GENERAL, messageId: m.id, format: 'bmp' })).status, 400);
+  assert.strictEqual((await get({ channelId: GENERAL, messageId: '1' })).status, 404);
+  assert.strictEqual((await get({ channelId: GENERAL, messageId: m.id }, 'random-key')).status, 403);
+  assert.strictEqual((await get({})).status, 400);
+});
@@ -0,0 +1,103 @@
+// test/members.test.cjs
+// getUser / getMember / listMembers lookups and the author fields on message payloads.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const GUILD = '100000000000000001';
+const GENERAL = '200000000000000001';
+const keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'disclink-keys-')), 'keys.json');
+fs.writeFileSync(keysFile, JSON.stringify({
+  keys: { 'elsewhere-key': { name: 'elsewhere', scopes: ['read'], guilds: ['100000000000000099'] } }
+}));
+const bridge = loadBridge({ BRIDGE_SECRET: 'top-secret', BRIDGE_KEYS_FILE: keysFile });
+const backend = createMockBackend({
+  guilds: [{
+    id: GUILD,
+    name: 'Mock Server',
+    roles: [{ id: '300000000000000001', name: 'Moderators' }, { id: '300000000000000002', name: 'Artists' }],
+    channels: [{ id: GENERAL, name: 'general' }]
+  }]
+});
+const ALICE = { id: '400000000000000001', username: 'alice', globalName: 'Alice A.', avatar: 'a1b2' };
+const BOB = { id: '400000000000000002', username: 'bob' };
+const CAROL = { id: '400000000000000003', username: 'carol' };
+let port;
+
+let requestCounter = 0;
+function request(c, fields, replyType) {
+  const requestId = 'r' + (++requestCounter);
+  c.send({ requestId, ...fields });
+  return c.next(replyType, m => m.requestId === requestId);
+}
+
+test.before(async () => {
+  backend.addMember(GUILD, ALICE, { nickname: 'Ally', roles: ['300000000000000002', '300000000000000001'], status: 'online' });
+  backend.addMember(GUILD, BOB);
+  backend.addMember(GUILD, CAROL, { roles: ['300000000000000002'] });
+  ({ port } = await bridge.start({ backend, port: 0 }));
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+});
+test.after(() => bridge.stop());
+
+test('message authors carry display name, avatar URL and role names', async () => {
+  const c = await connect(port, { hello: 'top-secret' });
+  await c.next('helloOk');
+  backend.injectMessage({ channelId: GENERAL, author: ALICE, content: 'hi' });
+  const { data } = await c.next('message');
+  assert.deepStrictEqual(data.author, {
+    id: ALICE.id,
+    username: 'alice',
+    bot: false,
+    displayName: 'Ally',
+    avatarUrl: 'https://mock.discord/avatars/users/400000000000000001/a1b2.png?size=256',
+    roles: ['Moderators', 'Artists']
+  });
+  backend.injectDirectMessage({ author: BOB, content: 'psst' });
+  const dm = await c.next('dm');
+  assert.strictEqual(dm.data.author.displayName, 'bob');
+  assert.deepStrictEqual(dm.data.author.roles, []);
+  c.close();
+});
+
+test('getUser and getMember by id or name', async () => {
+  const c = await connect(port, { hello: 'top-secret' });
+  const { user } = await request(c, { type: 'getUser', username: 'ALICE A.' }, 'user');
+  assert.deepStrictEqual(user, { id: ALICE.id, username: 'alice', globalName: 'Alice A.', bot: false, avatarUrl: 'https://mock.discord/avatars/users/400000000000000001/a1b2.png?size=256' });
+  assert.strictEqual((await request(c, { type: 'getUser', userId: BOB.id }, 'user')).user.username, 'bob');
+  assert.strictEqual((await request(c, { type: 'getUser', userId: '1' }, 'error')).error, 'User not found');
+
+  const { member } = await request(c, { type: 'getMember', guildName: 'mock server', name: 'ally' }, 'member');
+  assert.strictEqual(member.id, ALICE.id);
+  assert.strictEqual(member.nickname, 'Ally');
+  assert.strictEqual(member.status, 'online');
+  assert.deepStrictEqual(member.roles.map(r => r.name), ['Moderators', 'Artists']);
+  assert.strictEqual((await request(c, { type: 'getMember', guildId: GUILD, userId: CAROL.id }, 'member')).member.displayName, 'carol');
+  assert.strictEqual((await request(c, { type: 'getMember', guildId: GUILD, name: 'nobody' }, 'error')).error, 'Member not found');
+  assert.strictEqual((await request(c, { type: 'getMember', guildName: 'Nope', name: 'bob' }, 'error')).error, 'Guild not found');
+  c.close();
+});
+
+test('listMembers pages in id order and filters by name', async () => {
+  const c = await connect(port, { hello: 'top-secret' });
+  const first = await request(c, { type: 'listMembers', guildId: GUILD, limit: 2 }, 'members');
+  assert.strictEqual(first.total, 3);
+  assert.deepStrictEqual(first.members.map(m => m.username), ['alice', 'bob']);
+  assert.strictEqual(first.after, BOB.id);
+  const second = await request(c, { type: 'listMembers', guildId: GUILD, limit: 2, after: first.after }, 'members');
+  assert.deepStrictEqual(second.members.map(m => m.username), ['carol']);
+  assert.strictEqual(second.after, null);
+  const found = await request(c, { type: 'listMembers', guildId: GUILD, query: 'AL' }, 'members');
+  assert.deepStrictEqual(found.members.map(m => m.id), [ALICE.id]);
+
+  const other = await connect(port, { hello: 'elsewhere-key' });
+  assert.strictEqual((await request(other, { type: 'listMembers', guildId: GUILD }, 'error')).error, 'forbidden');
+  c.close();
+  other.close();
+});
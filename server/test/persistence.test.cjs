@@ -0,0 +1,63 @@
+// test/persistence.test.cjs
+// State files: migration of the old all-in-one cache.json, quarantine of corrupt files, expiring refs.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const bridge = loadBridge({ MAX_PROCESSED_REFS: '3' });
+const file = name => path.join(bridge.dataDir, name);
+const GENERAL = '200000000000000001';
+
+// written before start(): a pre-versioning cache.json and an unreadable refs.json
+const servers = [{ id: '100000000000000001', name: 'Mock Server', channels: [{ id: GENERAL, name: 'general' }] }];
+fs.writeFileSync(file('cache.json'), JSON.stringify({
+  cacheReady: true,
+  servers,
+  queue: [{ req: { type: 'sendMessage', channelId: GENERAL, content: 'from v1', ref: 'old-queued' }, tries: 0, queuedAt: 1 }],
+  processedRefs: ['old-sent']
+}));
+fs.writeFileSync(file('refs.json'), '{ not json');
+
+const backend = createMockBackend({ autoReady: false });
+let port;
+
+test.before(async () => { ({ port } = await bridge.start({ backend, port: 0 })); });
+test.after(() => bridge.stop());
+
+test('migrates the unversioned cache.json and quarantines unreadable files', async () => {
+  assert.deepStrictEqual(bridge.state.servers, servers);
+  assert.strictEqual(bridge.state.queue[0].req.ref, 'old-queued');
+  // refs.json was corrupt, so the legacy refs from cache.json are used instead
+  assert.ok(bridge.state.processedRefs.has('old-sent'));
+  assert.strictEqual(fs.readdirSync(bridge.dataDir).filter(f => f.startsWith('refs.json.corrupt-')).length, 1);
+
+  await bridge.stop();
+  const cache = JSON.parse(fs.readFileSync(file('cache.json'), 'utf8'));
+  assert.strictEqual(cache.version, 2);
+  assert.deepStrictEqual(Object.keys(cache).sort(), ['cacheReady', 'servers', 'version']);
+  assert.strictEqual(JSON.parse(fs.readFileSync(file('queue.json'), 'utf8')).queue.length, 1);
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file('refs.json'), 'utf8')).refs), ['old-sent']);
+  ({ port } = await bridge.start({ backend, port: 0 }));
+});
+
+test('keeps only the newest MAX_PROCESSED_REFS refs', async () => {
+  backend.connect();
+  const c = await connect(port);
+  for (const ref of ['a', 'b', 'c', 'd']) {
+    c.send({ type: 'sendMessage', channelId: GENERAL, content: ref, ref });
+    await c.next('ack', m => m.ref === ref && m.ok);
+  }
+  assert.deepStrictEqual(Array.from(bridge.state.processedRefs.keys()), ['b', 'c', 'd']);
+
+  // 'a' fell out of the store, so it is sent again
+  const before = backend.sent.length;
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'a', ref: 'a' });
+  assert.strictEqual((await c.next('ack', m => m.ref === 'a')).skipped, undefined);
+  assert.strictEqual(backend.sent.length, before + 1);
+  c.close();
+});
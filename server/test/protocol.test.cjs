@@ -0,0 +1,380 @@
+// test/protocol.test.cjs
+// WebSocket protocol against the mock backend (open mode, no keys configured).
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const bridge = loadBridge();
+const backend = createMockBackend();
+const GUILD = '100000000000000001';
+const GENERAL = '200000000000000001';
+const RANDOM = '200000000000000002';
+let port;
+
+test.before(async () => {
+  ({ port } = await bridge.start({ backend, port: 0 }));
+  // wait for the initial cache build triggered by 'ready'
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+});
+test.after(() => bridge.stop());
+
+test('welcomes new sockets with status and the text-only server list', async () => {
+  const c = await connect(port);
+  const status = await c.next('bridgeStatus');
+  assert.strictEqual(status.discordReady, true);
+  const list = await c.next('serverList');
+  assert.deepStrictEqual(list.servers, [{ id: GUILD, name: 'Mock Server', channels: [{ id: GENERAL, name: 'general' }, { id: RANDOM, name: 'random' }] }]);
+  c.close();
+});
+
+test('answers ping and rejects unknown requests', async () => {
+  const c = await connect(port);
+  c.send({ type: 'ping' });
+  assert.ok((await c.next('pong')).ts);
+  c.send({ type: 'getGuildChannels' });
+  assert.strictEqual((await c.next('error')).error, 'unknown-request');
+  c.ws.send('not json');
+  assert.strictEqual((await c.next('error', m => m.error === 'bad-json')).error, 'bad-json');
+  c.close();
+});
+
+test('forwards messages and pings in the message payload shape', async () => {
+  const c = await connect(port);
+  backend.injectMessage({ channelId: GENERAL, content: '  hi <@900000000000000001>​ ' });
+  const { data } = await c.next('message');
+  assert.strictEqual(data.displayText, 'hi @mockbot');
+  assert.strictEqual(data.rawContent, '  hi <@900000000000000001>​ ');
+  assert.strictEqual(data.guildName, 'Mock Server');
+  assert.strictEqual(data.channelName, 'general');
+  assert.strictEqual(data.author.username, 'mockuser');
+  assert.strictEqual(data.fromSelf, false);
+  assert.strictEqual(data.mentionsMe, true);
+  const ping = await c.next('ping');
+  assert.strictEqual(ping.data.messageId, data.messageId);
+  c.close();
+});
+
+test('displayText renders mentions, channels, emoji and timestamps; plainText drops markdown', async () => {
+  const c = await connect(port);
+  const raw = '**Hey** <@900000000000000002>, <@&300000000000000001> see <#200000000000000002> <:party:123> <a:wave:456> ' +
+    '<#1> <@1> at <t:1700000000:D> ||secret|| `code`';
+  backend.injectMessage({ channelId: GENERAL, content: raw });
+  const { data } = await c.next('message');
+  const date = new Intl.DateTimeFormat('en-US', { dateStyle: 'long' }).format(new Date(1700000000 * 1000));
+  assert.strictEqual(data.rawContent, raw);
+  assert.strictEqual(data.displayText, `**Hey** @mockuser, @Moderators see #random :party: :wave: #unknown-channel @unknown-user at ${date} ||secret|| \`code\``);
+  assert.strictEqual(data.plainText, `Hey @mockuser, @Moderators see #random :party: :wave: #unknown-channel @unknown-user at ${date} secret code`);
+  c.close();
+});
+
+test('subscriptions narrow what a socket receives', async () => {
+  const c = await connect(port);
+  c.send({ type: 'subscribe', id: 'gen', events: ['message'], channelId: GENERAL });
+  await c.next('subscribed');
+  backend.injectMessage({ channelId: RANDOM, content: 'elsewhere' });
+  backend.injectMessage({ channelId: GENERAL, content: 'here' });
+  assert.strictEqual((await c.next('message')).data.displayText, 'here');
+  assert.ok(await c.none('message', m => m.data.displayText === 'elsewhere'));
+  c.send({ type: 'subscribe', events: ['nope'] });
+  assert.match((await c.next('error')).error, /unknown-event/);
+  c.close();
+});
+
+test('sendMessage acks only the sender, with the new message id', async () => {
+  const sender = await connect(port);
+  const other = await connect(port);
+  sender.send({ type: 'sendMessage', channelId: GENERAL, content: 'hello', ref: 'r-send-1' });
+  const ack = await sender.next('ack');
+  assert.strictEqual(ack.ok, true);
+  assert.strictEqual(ack.ref, 'r-send-1');
+  assert.strictEqual(ack.channelId, GENERAL);
+  assert.strictEqual(ack.messageId, backend.sent[backend.sent.length - 1].message.id);
+  assert.ok(await other.none('ack'));
+
+  // same ref again is skipped, not re-sent
+  const count = backend.sent.length;
+  sender.send({ type: 'sendMessage', channelId: GENERAL, content: 'hello', ref: 'r-send-1' });
+  assert.strictEqual((await sender.next('ack')).skipped, true);
+  assert.strictEqual(backend.sent.length, count);
+  sender.close();
+  other.close();
+});
+
+test('sendMessage resolves channels by guild and channel name, and reports failures', async () => {
+  const c = await connect(port);
+  c.send({ type: 'sendMessage', guildName: 'Mock Server', channelName: 'random', content: 'by name', ref: 'r-name' });
+  assert.strictEqual((await c.next('ack')).ok, true);
+  assert.strictEqual(backend.sent[backend.sent.length - 1].channelId, RANDOM);
+
+  c.send({ type: 'sendMessage', guildName: 'Nowhere', channelName: 'x', content: 'lost', ref: 'r-missing' });
+  assert.strictEqual((await c.next('ack')).error, 'Guild not found');
+
+  backend.failNextSend(new Error('Missing Access'));
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'denied', ref: 'r-fail' });
+  const ack = await c.next('ack');
+  assert.strictEqual(ack.ok, false);
+  assert.strictEqual(ack.error, 'Missing Access');
+  c.close();
+});
+
+test('replies carry replyTo on the way in and out', async () => {
+  const c = await connect(port);
+  const question = backend.injectMessage({ channelId: GENERAL, content: 'what is 2+2?' });
+  await c.next('message');
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: '4', replyTo: question.id, ref: 'r-reply' });
+  await c.next('ack');
+  const echoed = await c.next('message', m => m.data.fromSelf);
+  assert.deepStrictEqual(echoed.data.replyTo, { messageId: question.id, author: { id: '900000000000000002', username: 'mockuser' }, excerpt: 'what is 2+2?' });
+  c.close();
+});
+
+test('a reply waiting for the message it answers is still broadcast before later messages', async () => {
+  const c = await connect(port);
+  backend.injectMessage({ channelId: GENERAL, content: 'answer', replyTo: '200000000000000999' }); // not cached: fetched first
+  backend.injectMessage({ channelId: GENERAL, content: 'later' });
+  const first = await c.next('message');
+  const second = await c.next('message');
+  assert.deepStrictEqual([first.data.trimmedContent, second.data.trimmedContent], ['answer', 'later']);
+  assert.ok(first.seq < second.seq);
+  assert.deepStrictEqual(first.data.replyTo, { messageId: '200000000000000999', author: null, excerpt: '' });
+  c.close();
+});
+
+test('file uploads are attached, and oversized files are rejected', async () => {
+  const c = await connect(port);
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: '', files: [{ name: 'a.txt', data: 'data:text/plain;base64,aGk=' }], ref: 'r-file' });
+  assert.strictEqual((await c.next('ack')).ok, true);
+  const sentFile = backend.sent[backend.sent.length - 1].options.files[0];
+  assert.strictEqual(sentFile.name, 'a.txt');
+  assert.strictEqual(sentFile.attachment.toString(), 'hi');
+
+  c.send({ type: 'sendMessage', channelId: GENERAL, files: [{ name: 'big.bin', data: 'A'.repeat(12 * 1024 * 1024) }], ref: 'r-big' });
+  const ack = await c.next('ack', m => m.ref === 'r-big');
+  assert.strictEqual(ack.error, 'file-too-large');
+  assert.strictEqual(ack.file, 'big.bin');
+  c.close();
+});
+
+test('embeds are sent after validation and forwarded in full', async () => {
+  const c = await connect(port);
+  const embed = {
+    title: 'Leaderboard', description: 'Top scores', color: '#ffaa00', url: 'https://example.com/board',
+    author: { name: 'Quiz', iconUrl: 'https://example.com/icon.png' }, footer: { text: 'week 3' },
+    image: 'https://example.com/chart.png',
+    fields: [{ name: '1st', value: 'ada: 40', inline: true }, { name: '2nd', value: 'bob: 35', inline: true }]
+  };
+  c.send({ type: 'sendMessage', channelId: GENERAL, embeds: [embed], ref: 'r-embed' });
+  const ack = await c.next('ack', a => a.ref === 'r-embed');
+  assert.strictEqual(ack.ok, true);
+  const { data } = await c.next('message', m => m.data.messageId === ack.messageId);
+  const got = data.embeds[0];
+  assert.strictEqual(got.color, 0xffaa00);
+  assert.strictEqual(got.author.iconUrl, 'https://example.com/icon.png');
+  assert.strictEqual(got.image.url, 'https://example.com/chart.png');
+  assert.deepStrictEqual(got.fields, embed.fields);
+  assert.strictEqual(data.displayText, 'Top scores');
+
+  const rejected = [
+    [{ fields: Array.from({ length: 26 }, (_, i) => ({ name: 'n' + i, value: 'v' })) }, 'too-many-fields'],
+    [{ title: 'x'.repeat(257) }, 'embed-too-long'],
+    [{ description: 'ok', color: 'orange' }, 'bad-embed'],
+    [{}, 'bad-embed'],
+    [Array.from({ length: 2 }, () => ({ description: 'x'.repeat(4000) })), 'embeds-too-long']
+  ];
+  for (const [i, [embeds, error]] of rejected.entries()) {
+    c.send({ type: 'sendMessage', channelId: GENERAL, embeds: Array.isArray(embeds) ? embeds : [embeds], ref: 'r-bad-embed' + i });
+    assert.strictEqual((await c.next('ack', a => a.ref === 'r-bad-embed' + i)).error, error);
+  }
+  c.close();
+});
+
+test('fetchHistory pages backwards, oldest first', async () => {
+  const c = await connect(port);
+  const ch = backend.addChannel(GUILD, { name: 'history' });
+  for (let i = 1; i <= 5; i++) backend.injectMessage({ channelId: ch.id, content: 'm' + i });
+  c.send({ type: 'fetchHistory', requestId: 'h1', channelId: ch.id, limit: 3 });
+  const page1 = await c.next('history', m => m.requestId === 'h1');
+  assert.deepStrictEqual(page1.messages.map(m => m.displayText), ['m3', 'm4', 'm5']);
+  c.send({ type: 'fetchHistory', requestId: 'h2', channelId: ch.id, limit: 3, before: page1.before });
+  const page2 = await c.next('history', m => m.requestId === 'h2');
+  assert.deepStrictEqual(page2.messages.map(m => m.displayText), ['m1', 'm2']);
+  assert.strictEqual(page2.before, null);
+
+  c.send({ type: 'fetchHistory', requestId: 'h3', channelId: '1' });
+  assert.strictEqual((await c.next('error', m => m.requestId === 'h3')).request, 'fetchHistory');
+  c.close();
+});
+
+test('fetchHistory keeps paging past skipped webhook messages', async () => {
+  const c = await connect(port);
+  const ch = backend.addChannel(GUILD, { name: 'hooks' });
+  for (let i = 1; i <= 6; i++) backend.injectMessage({ channelId: ch.id, content: 'm' + i, webhookId: i === 5 ? '700000000000000001' : null });
+  c.send({ type: 'fetchHistory', requestId: 'w1', channelId: ch.id, limit: 3 });
+  const page1 = await c.next('history', m => m.requestId === 'w1');
+  assert.deepStrictEqual(page1.messages.map(m => m.displayText), ['m4', 'm6']);
+  assert.ok(page1.before);
+  c.send({ type: 'fetchHistory', requestId: 'w2', channelId: ch.id, limit: 3, before: page1.before });
+  const page2 = await c.next('history', m => m.requestId === 'w2');
+  assert.deepStrictEqual(page2.messages.map(m => m.displayText), ['m1', 'm2', 'm3']);
+  c.close();
+});
+
+test('edits, deletions and reactions are forwarded and can be made', async () => {
+  const c = await connect(port);
+  const m = backend.injectMessage({ channelId: GENERAL, content: 'original' });
+  await c.next('message', x => x.data.messageId === m.id);
+
+  await m.edit('changed');
+  const upd = await c.next('messageUpdate');
+  assert.strictEqual(upd.data.displayText, 'changed');
+  assert.strictEqual(upd.data.previousContent, 'original');
+
+  c.send({ type: 'addReaction', channelId: GENERAL, messageId: m.id, emoji: '👍', ref: 'r-react' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 'r-react')).ok, true);
+  const reaction = await c.next('reactionAdd');
+  assert.strictEqual(reaction.data.emoji.name, '👍');
+  assert.strictEqual(reaction.data.fromSelf, true);
+
+  c.send({ type: 'deleteMessage', channelId: GENERAL, messageId: m.id, ref: 'r-del' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 'r-del')).action, 'deleteMessage');
+  assert.strictEqual((await c.next('messageDelete')).data.messageId, m.id);
+  c.close();
+});
+
+test('DMs are forwarded, listed as contacts and can be sent by id or name', async () => {
+  const c = await connect(port);
+  await c.next('serverList');
+  const friend = { id: '900000000000000003', username: 'Friend' };
+  const incoming = backend.injectDirectMessage({ author: friend, content: 'hey there' });
+  const { data } = await c.next('dm');
+  assert.strictEqual(data.isDM, true);
+  assert.strictEqual(data.displayText, 'hey there');
+  assert.strictEqual(data.author.username, 'Friend');
+  assert.strictEqual(data.channelId, incoming.channel.id);
+  assert.ok(await c.none('message', m => m.data.messageId === incoming.id));
+  const list = await c.next('serverList', m => m.dms && m.dms.length);
+  assert.deepStrictEqual(list.dms.map(d => [d.userId, d.username, d.channelId]), [[friend.id, 'Friend', incoming.channel.id]]);
+
+  c.send({ type: 'sendDirectMessage', username: 'friend', content: 'hi back', ref: 'dm-name' });
+  const ack = await c.next('ack', a => a.ref === 'dm-name');
+  assert.strictEqual(ack.ok, true);
+  assert.strictEqual(ack.channelId, incoming.channel.id);
+  assert.strictEqual((await c.next('dm', m => m.data.messageId === ack.messageId)).data.fromSelf, true);
+
+  c.send({ type: 'sendDirectMessage', userId: '900000000000000002', content: 'by id', ref: 'dm-id' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 'dm-id')).ok, true);
+  assert.strictEqual(backend.sent.at(-1).content, 'by id');
+  c.send({ type: 'sendDirectMessage', username: 'nobody', content: 'x', ref: 'dm-missing' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 'dm-missing')).error, 'User not found');
+  c.close();
+});
+
+test('guild and channel changes are patched into the cache and pushed as diffs', async () => {
+  const c = await connect(port);
+  await c.next('serverList');
+
+  const ch = backend.createChannel(GUILD, { name: 'announcements' });
+  const { seq, ...channelAdded } = await c.next('channelAdded');
+  assert.strictEqual(typeof seq, 'number');
+  assert.deepStrictEqual(channelAdded, { type: 'channelAdded', guildId: GUILD, channel: { id: ch.id, name: 'announcements' } });
+  backend.renameChannel(ch.id, 'news');
+  assert.strictEqual((await c.next('channelRenamed')).name, 'news');
+  assert.strictEqual(bridge.state.servers[0].channels.find(x => x.id === ch.id).name, 'news');
+  backend.deleteChannel(ch.id);
+  assert.strictEqual((await c.next('channelRemoved')).channelId, ch.id);
+  backend.createChannel(GUILD, { name: 'Stage', type: 'GUILD_VOICE' });
+  assert.ok(await c.none('channelAdded'));
+
+  backend.joinGuild({ id: '100000000000000009', name: 'New Server', channels: [{ id: '200000000000000009', name: 'welcome' }] });
+  const added = await c.next('guildAdded');
+  assert.deepStrictEqual(added.guild, { id: '100000000000000009', name: 'New Server', channels: [{ id: '200000000000000009', name: 'welcome' }] });
+  backend.leaveGuild('100000000000000009');
+  assert.strictEqual((await c.next('guildRemoved')).guildId, '100000000000000009');
+  assert.strictEqual(bridge.state.servers.length, 1);
+  c.close();
+});
+
+test('threads are nested under their parent, tagged on messages and can be created, joined and archived', async () => {
+  const c = await connect(port);
+  await c.next('serverList');
+  const TG = '100000000000000008', CHAT = '200000000000000081', FORUM = '200000000000000082';
+  const guild = backend.addGuild({ id: TG, name: 'Threads', channels: [{ id: CHAT, name: 'chat' }, { id: FORUM, name: 'ideas', type: 'GUILD_FORUM' }] });
+  const thread = backend.addThread(CHAT, { name: 'side-topic' });
+  backend.addThread(CHAT, { name: 'old', archived: true });
+  backend.emit('guildCreate', guild);
+  assert.deepStrictEqual((await c.next('guildAdded')).guild.channels, [
+    { id: CHAT, name: 'chat', threads: [{ id: thread.id, name: 'side-topic' }] },
+    { id: FORUM, name: 'ideas', forum: true }
+  ]);
+
+  backend.injectMessage({ channelId: thread.id, content: 'in a thread' });
+  const { data } = await c.next('message', m => m.data.channelId === thread.id);
+  assert.strictEqual(data.threadId, thread.id);
+  assert.strictEqual(data.parentId, CHAT);
+
+  const m = backend.injectMessage({ channelId: CHAT, content: 'start here' });
+  c.send({ type: 'createThread', channelId: CHAT, messageId: m.id, name: 'from a message', ref: 't-create' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 't-create')).threadId, m.id);
+  const { seq, ...threadAdded } = await c.next('threadAdded', d => d.thread.id === m.id);
+  assert.deepStrictEqual(threadAdded, { type: 'threadAdded', guildId: TG, parentId: CHAT, thread: { id: m.id, name: 'from a message' } });
+
+  c.send({ type: 'sendMessage', channelId: FORUM, content: 'no title', ref: 't-notitle' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 't-notitle')).error, 'title required for forum posts');
+  c.send({ type: 'createForumPost', channelId: FORUM, title: 'Idea', content: 'body', ref: 't-post' });
+  const post = await c.next('ack', a => a.ref === 't-post');
+  assert.strictEqual(post.ok, true);
+  assert.strictEqual(post.messageId, post.threadId);
+  assert.strictEqual((await c.next('threadAdded', d => d.parentId === FORUM)).thread.name, 'Idea');
+  assert.strictEqual((await c.next('message', x => x.data.messageId === post.messageId)).data.parentId, FORUM);
+
+  c.send({ type: 'joinThread', threadId: thread.id, ref: 't-join' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 't-join')).ok, true);
+  assert.strictEqual(thread.joined, true);
+  c.send({ type: 'archiveThread', threadId: thread.id, ref: 't-archive' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 't-archive')).ok, true);
+  assert.strictEqual((await c.next('threadRemoved')).threadId, thread.id);
+  assert.deepStrictEqual(bridge.state.servers.find(g => g.id === TG).channels[0].threads.map(t => t.id), [m.id]);
+  c.send({ type: 'joinThread', threadId: CHAT, ref: 't-notthread' });
+  assert.strictEqual((await c.next('ack', a => a.ref === 't-notthread')).error, 'Thread not found');
+  c.close();
+});
+
+test('registered commands arrive as typed command events; bad input gets a usage reply', async () => {
+  const c = await connect(port);
+  c.send({ type: 'registerCommand', prefix: '!', name: 'bad', args: [{ type: 'rest' }, { type: 'number' }] });
+  assert.strictEqual((await c.next('error')).error, 'bad-command: a rest argument must come last');
+  c.send({ type: 'registerCommand', prefix: '!', name: 'Score', channels: [GENERAL], args: [
+    { name: 'who', type: 'user' }, { name: 'points', type: 'number' }, { name: 'note', type: 'rest', optional: true }
+  ] });
+  const { command } = await c.next('commandRegistered');
+  assert.strictEqual(command.usage, 'Usage: !score <@who> <points> [note...]');
+
+  const m = backend.injectMessage({ channelId: GENERAL, content: '!SCORE <@900000000000000001> 10 well played' });
+  const { data } = await c.next('command');
+  assert.deepStrictEqual([data.command, data.messageId, data.channelId, data.guildId, data.author.username], ['score', m.id, GENERAL, GUILD, 'mockuser']);
+  assert.deepStrictEqual(data.args, [
+    { name: 'who', type: 'user', value: '900000000000000001', raw: '<@900000000000000001>', username: 'mockbot' },
+    { name: 'points', type: 'number', value: 10, raw: '10' },
+    { name: 'note', type: 'rest', value: 'well played', raw: 'well played' }
+  ]);
+
+  // not in an allowed channel, or not this command: nothing
+  backend.injectMessage({ channelId: RANDOM, content: '!score <@900000000000000001> 10' });
+  backend.injectMessage({ channelId: GENERAL, content: '!scoreboard' });
+  await c.none('command');
+
+  const before = backend.sent.length;
+  const bad = backend.injectMessage({ channelId: GENERAL, content: '!score <@900000000000000001> lots' });
+  await c.next('message', e => e.data.fromSelf);
+  assert.strictEqual(backend.sent.length, before + 1);
+  assert.strictEqual(backend.sent.at(-1).content, 'points must be a number. Usage: !score <@who> <points> [note...]');
+  assert.strictEqual(backend.sent.at(-1).options.reply.messageReference, bad.id);
+  await c.none('command');
+
+  c.send({ type: 'unregisterCommand', name: 'score' });
+  assert.strictEqual((await c.next('commandUnregistered')).count, 0);
+  c.close();
+});
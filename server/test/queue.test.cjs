@@ -0,0 +1,98 @@
+// test/queue.test.cjs
+// Sends made while the backend isn't ready are queued, then flushed once it is; transient failures are
+// retried through the queue and end up in the dead-letter list; queue management requests.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const bridge = loadBridge({ SEND_BACKOFF_MS: '5', MAX_SEND_RETRIES: '3' });
+const backend = createMockBackend({ autoReady: false });
+const GENERAL = '200000000000000001';
+let port;
+
+test.before(async () => { ({ port } = await bridge.start({ backend, port: 0 })); });
+test.after(() => bridge.stop());
+
+let requestCounter = 0;
+function request(c, msg, replyType) {
+  const requestId = 'r' + (++requestCounter);
+  c.send({ ...msg, requestId });
+  return c.next(replyType, m => m.requestId === requestId);
+}
+
+const unavailable = () => Object.assign(new Error('Service Unavailable'), { httpStatus: 503 });
+
+test('cancelQueued and purgeQueue take sends out of the queue', async () => {
+  const c = await connect(port);
+  for (const ref of ['c1', 'c2', 'c3']) {
+    c.send({ type: 'sendMessage', channelId: GENERAL, content: ref, ref });
+    await c.next('ack', a => a.ref === ref && a.queued);
+  }
+  const cancelled = await request(c, { type: 'cancelQueued', ref: 'c1' }, 'queueUpdated');
+  assert.deepStrictEqual([cancelled.ref, cancelled.queueLength], ['c1', 2]);
+  assert.strictEqual((await c.next('ack', a => a.ref === 'c1')).error, 'cancelled');
+  assert.deepStrictEqual((await request(c, { type: 'listQueue' }, 'queue')).items.map(i => i.ref), ['c2', 'c3']);
+  assert.strictEqual((await request(c, { type: 'cancelQueued', ref: 'c1' }, 'error')).error, 'not-found');
+
+  assert.strictEqual((await request(c, { type: 'purgeQueue' }, 'queueUpdated')).removed, 2);
+  assert.strictEqual((await c.next('ack', a => a.ref === 'c3')).error, 'cancelled');
+  assert.strictEqual((await request(c, { type: 'listQueue' }, 'queue')).length, 0);
+  c.close();
+});
+
+test('queues while disconnected and acks the sender when flushed', async () => {
+  const c = await connect(port);
+  assert.strictEqual((await c.next('ready')).value, false);
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'later', ref: 'q1' });
+  const queued = await c.next('ack');
+  assert.deepStrictEqual([queued.ok, queued.queued, queued.error], [false, true, 'queued-not-connected']);
+  assert.strictEqual(backend.sent.length, 0);
+
+  backend.connect();
+  const ack = await c.next('ack', a => a.ok);
+  assert.strictEqual(ack.ref, 'q1');
+  assert.strictEqual(backend.sent[0].content, 'later');
+  assert.ok(bridge.state.processedRefs.has('q1'));
+  c.close();
+});
+
+test('transient failures are retried through the queue, permanent ones are not', async () => {
+  const c = await connect(port);
+  backend.failNextSend(unavailable());
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'flaky', ref: 't1' });
+  const queued = await c.next('ack', a => a.ref === 't1');
+  assert.deepStrictEqual([queued.ok, queued.queued, queued.error, queued.lastError], [false, true, 'queued-retry', 'Service Unavailable']);
+  assert.strictEqual((await c.next('ack', a => a.ref === 't1')).ok, true);
+  assert.strictEqual(backend.sent.at(-1).content, 'flaky');
+
+  backend.failNextSend(new Error('Missing Access'));
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'nope', ref: 't2' });
+  const failed = await c.next('ack', a => a.ref === 't2');
+  assert.deepStrictEqual([failed.ok, failed.queued, failed.error], [false, undefined, 'Missing Access']);
+  assert.strictEqual(bridge.state.queue.length, 0);
+  assert.strictEqual(bridge.state.deadLetters.length, 0);
+  c.close();
+});
+
+test('sends that run out of retries are dead-lettered and can be retried', async () => {
+  const c = await connect(port);
+  for (let i = 0; i < 3; i++) backend.failNextSend(unavailable());
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'doomed', ref: 'd1' });
+  await c.next('ack', a => a.ref === 'd1' && a.queued);
+  const dead = await c.next('ack', a => a.ref === 'd1');
+  assert.deepStrictEqual([dead.ok, dead.error, dead.deadLettered], [false, 'max-retries', true]);
+
+  const letters = await request(c, { type: 'listDeadLetters' }, 'deadLetters');
+  assert.deepStrictEqual(letters.items.map(i => [i.ref, i.reason, i.tries, i.error]), [['d1', 'max-retries', 3, 'Service Unavailable']]);
+
+  const retried = await request(c, { type: 'retryDeadLetter', ref: 'd1' }, 'queueUpdated');
+  assert.strictEqual(retried.ref, 'd1');
+  assert.strictEqual((await c.next('ack', a => a.ref === 'd1')).ok, true);
+  assert.strictEqual(backend.sent.at(-1).content, 'doomed');
+  assert.strictEqual((await request(c, { type: 'listDeadLetters' }, 'deadLetters')).length, 0);
+  assert.strictEqual((await request(c, { type: 'retryDeadLetter', ref: 'd1' }, 'error')).error, 'not-found');
+  c.close();
+});
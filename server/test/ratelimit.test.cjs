@@ -0,0 +1,91 @@
+// test/ratelimit.test.cjs
+// Token buckets: excess sends are queued (default mode) and paced; acks report the limiter state.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const bridge = loadBridge({
+  RATE_SOCKET_BURST: '2', RATE_SOCKET_PER_SEC: '20',
+  RATE_CHANNEL_BURST: '3', RATE_CHANNEL_PER_SEC: '4',
+  RATE_GLOBAL_BURST: '100', RATE_GLOBAL_PER_SEC: '10'
+});
+const backend = createMockBackend();
+const GENERAL = '200000000000000001';
+const RANDOM = '200000000000000002';
+let port;
+
+test.before(async () => {
+  ({ port } = await bridge.start({ backend, port: 0 }));
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+});
+test.after(() => bridge.stop());
+
+test('acks carry rate-limit state and excess sends are queued, then delivered', async () => {
+  const c = await connect(port);
+  for (const ref of ['r1', 'r2', 'r3']) c.send({ type: 'sendMessage', channelId: GENERAL, content: ref, ref });
+
+  const first = await c.next('ack', m => m.ref === 'r1');
+  assert.deepStrictEqual(first.rateLimit, { ok: true, retryAfterMs: 0, remaining: 1 });
+  const second = await c.next('ack', m => m.ref === 'r2');
+  assert.strictEqual(second.rateLimit.remaining, 0);
+  assert.ok(second.rateLimit.retryAfterMs > 0);
+
+  const limited = await c.next('ack', m => m.ref === 'r3');
+  assert.deepStrictEqual([limited.ok, limited.queued, limited.error], [false, true, 'queued-rate-limited']);
+  assert.ok(limited.rateLimit.retryAfterMs > 0);
+
+  const delivered = await c.next('ack', m => m.ref === 'r3' && m.ok);
+  assert.strictEqual(delivered.messageId, backend.sent[2].message.id);
+  assert.deepStrictEqual(backend.sent.map(s => s.content), ['r1', 'r2', 'r3']);
+  c.close();
+});
+
+test('queued sends are charged to their socket and a busy channel does not hold back others', async () => {
+  const c = await connect(port);
+  bridge.state.discordConnected = false;
+  for (const ref of ['g1', 'g2', 'g3']) c.send({ type: 'sendMessage', channelId: GENERAL, content: ref, ref });
+  c.send({ type: 'sendMessage', channelId: RANDOM, content: 'x1', ref: 'x1' });
+  await c.next('ack', m => m.ref === 'x1' && m.queued);
+  backend.connect();
+
+  // GENERAL's bucket is still empty from the first test; RANDOM's send doesn't wait behind it
+  const x1 = await c.next('ack', m => m.ref === 'x1' && m.ok);
+  assert.strictEqual(x1.rateLimit.remaining, 1); // the socket's burst of 2, not RANDOM's 3
+  await c.next('ack', m => m.ref === 'g3' && m.ok, 5000);
+  assert.deepStrictEqual(backend.sent.map(s => s.content).slice(3), ['x1', 'g1', 'g2', 'g3']);
+  c.close();
+});
+
+test('a live send waits behind sends still queued from the same socket or to the same channel', async () => {
+  await new Promise(r => setTimeout(r, 800)); // let RANDOM's bucket refill
+  const c = await connect(port);
+  bridge.state.discordConnected = false;
+  c.send({ type: 'sendMessage', channelId: RANDOM, content: 'b1', ref: 'b1' });
+  await c.next('ack', m => m.ref === 'b1' && m.queued);
+  bridge.state.discordConnected = true; // back, but nothing has picked up the queue yet
+
+  c.send({ type: 'sendMessage', channelId: RANDOM, content: 'b2', ref: 'b2' });
+  const behind = await c.next('ack', m => m.ref === 'b2');
+  assert.deepStrictEqual([behind.ok, behind.queued, behind.error], [false, true, 'queued-behind']);
+  await c.next('ack', m => m.ref === 'b2' && m.ok);
+  assert.deepStrictEqual(backend.sent.map(s => s.content).slice(-2), ['b1', 'b2']);
+  c.close();
+});
+
+test('a channel has one bucket however a send names it', async () => {
+  await new Promise(r => setTimeout(r, 800)); // let GENERAL's bucket refill
+  const byId = { channelId: GENERAL };
+  const byName = { guildName: 'Mock Server', channelName: 'general' };
+  const acks = [];
+  for (const [i, target] of [byId, byId, byName, byName].entries()) {
+    const c = await connect(port); // a fresh socket each time, so only the channel's bucket can run out
+    c.send({ type: 'sendMessage', ...target, content: 'n' + i, ref: 'n' + i });
+    acks.push(await c.next('ack', m => m.ref === 'n' + i));
+    c.close();
+  }
+  assert.deepStrictEqual(acks.map(a => a.ok), [true, true, true, false]);
+  assert.strictEqual(acks[3].error, 'queued-rate-limited');
+});
@@ -0,0 +1,132 @@
+// test/resume.test.cjs
+// Sequence numbers on events, sessions, and missed-event replay with resumed / resumeFailed.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBridge, connect } = require('./helpers.cjs');
+const { createMockBackend } = require('../backends/mock.cjs');
+
+const bridge = loadBridge({ EVENT_BUFFER_SIZE: '20' });
+const backend = createMockBackend();
+const GENERAL = '200000000000000001';
+let port;
+
+test.before(async () => {
+  ({ port } = await bridge.start({ backend, port: 0 }));
+  while (!bridge.state.cacheReady) await new Promise(r => setTimeout(r, 20));
+});
+test.after(() => bridge.stop());
+
+// wait until the bridge has broadcast a message (seen by a watcher socket)
+async function post(watcher, content) {
+  backend.injectMessage({ channelId: GENERAL, content });
+  return watcher.next('message', m => m.data.trimmedContent === content);
+}
+
+test('replays what a reconnecting client missed, in order', async () => {
+  const watcher = await connect(port);
+  const c = await connect(port);
+  const { epoch } = await c.next('bridgeStatus');
+
+  await post(watcher, 'one');
+  const one = await c.next('message', m => m.data.trimmedContent === 'one');
+  assert.strictEqual(typeof one.seq, 'number');
+  c.close();
+  await post(watcher, 'two');
+  await post(watcher, 'three');
+
+  const again = await connect(port, { query: { resumeSeq: one.seq, epoch } });
+  const resumed = await again.next('resumed');
+  assert.strictEqual(resumed.replayed, 2);
+  const replayed = again.received.filter(m => m.type === 'message');
+  assert.deepStrictEqual(replayed.map(m => m.data.trimmedContent), ['two', 'three']);
+  assert.deepStrictEqual(replayed.map(m => m.seq), [one.seq + 1, one.seq + 2]);
+
+  // nothing missed: an empty replay
+  const current = await connect(port, { query: { resumeSeq: resumed.seq, epoch } });
+  assert.strictEqual((await current.next('resumed')).replayed, 0);
+  watcher.close();
+  again.close();
+  current.close();
+});
+
+test('replay comes before live events', async () => {
+  const watcher = await connect(port);
+  const { seq, epoch } = await watcher.next('bridgeStatus');
+  await post(watcher, 'missed');
+
+  const c = await connect(port, { query: { resumeSeq: seq, epoch } });
+  await post(watcher, 'live');
+  await c.next('message', m => m.data.trimmedContent === 'live');
+  const order = c.received.filter(m => typeof m.seq === 'number' && m.type !== 'bridgeStatus');
+  assert.deepStrictEqual(order.map(m => m.type === 'message' ? m.data.trimmedContent : m.type), ['missed', 'resumed']);
+  watcher.close();
+  c.close();
+});
+
+test('a resumed session keeps its commands and gets the acks and command events sent while it was away', async () => {
+  const c = await connect(port);
+  const { session, epoch } = await c.next('bridgeStatus');
+  c.send({ type: 'registerCommand', prefix: '!', name: 'ping', args: [{ name: 'text', type: 'rest' }] });
+  await c.next('commandRegistered');
+  bridge.state.discordConnected = false;
+  c.send({ type: 'sendMessage', channelId: GENERAL, content: 'queued', ref: 'q1' });
+  const queued = await c.next('ack', m => m.ref === 'q1' && m.queued);
+  c.close();
+  await c.waitClose();
+
+  backend.connect(); // the queued send goes out; its ack finds no socket
+  const watcher = await connect(port);
+  await post(watcher, '!ping away');
+
+  const again = await connect(port, { query: { resumeSeq: queued.seq, epoch, session } });
+  assert.strictEqual((await again.next('bridgeStatus')).session, session);
+  await again.next('resumed');
+  assert.ok((await again.next('ack', m => m.ref === 'q1')).ok);
+  assert.strictEqual((await again.next('command')).data.content, '!ping away');
+
+  // still registered without registering again
+  await post(watcher, '!ping back');
+  assert.strictEqual((await again.next('command')).data.content, '!ping back');
+  watcher.close();
+  again.close();
+});
+
+// answers to requests go through the socket's session, so they are numbered and replayed like events
+test('answers to requests are numbered', async () => {
+  const c = await connect(port);
+  c.send({ type: 'fetchHistory', channelId: GENERAL, requestId: 'h1' });
+  assert.strictEqual(typeof (await c.next('history', m => m.requestId === 'h1')).seq, 'number');
+  c.send({ type: 'getUser', userId: '1', requestId: 'u1' });
+  assert.strictEqual(typeof (await c.next('error', m => m.requestId === 'u1')).seq, 'number');
+  c.send({ type: 'searchMessages', query: 'x', requestId: 's1' });
+  assert.strictEqual(typeof (await c.next('error', m => m.requestId === 's1')).seq, 'number'); // the archive is off here
+  c.send({ type: 'listQueue', requestId: 'q1' });
+  assert.strictEqual(typeof (await c.next('queue', m => m.requestId === 'q1')).seq, 'number');
+  c.send({ type: 'getStats', requestId: 'st1' });
+  assert.strictEqual(typeof (await c.next('stats', m => m.requestId === 'st1')).seq, 'number');
+  c.close();
+});
+
+test('resumeFailed when the gap is too large or the bridge restarted', async () => {
+  const watcher = await connect(port);
+  const { seq, epoch } = await watcher.next('bridgeStatus');
+  for (let i = 0; i < 21; i++) await post(watcher, 'gap ' + i);
+
+  const c = await connect(port, { query: { resumeSeq: seq, epoch } });
+  const failed = await c.next('resumeFailed');
+  assert.strictEqual(failed.reason, 'gap-too-large');
+  assert.strictEqual(failed.epoch, epoch);
+  assert.ok(failed.seq >= seq + 21);
+
+  const restarted = await connect(port, { query: { resumeSeq: seq, epoch: 'some-older-run' } });
+  assert.strictEqual((await restarted.next('resumeFailed')).reason, 'restarted');
+
+  // the old message form only says where to put the position now
+  restarted.send({ type: 'resume', seq, epoch });
+  assert.strictEqual((await restarted.next('resumeFailed')).reason, 'resume-in-url');
+  watcher.close();
+  c.close();
+  restarted.close();
+});